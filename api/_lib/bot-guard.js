@@ -0,0 +1,64 @@
+/**
+ * myBlueprint Career Launch - Bot Guard
+ * Layered spam checks for the signup route: honeypot field, minimum
+ * time-to-submit and per-IP/per-email rate limits. Rate-limited results are
+ * marked rateLimited, since real people hit those too (a school board's
+ * staff often share one network address).
+ */
+
+const RateLimiter = require('./rate-limiter.js');
+
+class BotGuard {
+    constructor(config = {}) {
+        this.honeypotField = config.honeypotField || 'website';
+        this.minSubmitMs = config.minSubmitMs ?? 3000;
+        // High enough for a staff room signing up together behind one address
+        this.ipLimiter = config.ipLimiter || new RateLimiter({ limit: 100, windowMs: 10 * 60 * 1000 });
+        this.emailLimiter = config.emailLimiter || new RateLimiter({ limit: 3, windowMs: 60 * 60 * 1000 });
+    }
+
+    /**
+     * Checks a request before validation
+     * @param {IncomingMessage} req - Incoming request
+     * @param {Object} body - Parsed request body
+     * @returns {Object} - { allowed, reason }, plus rateLimited and retryAfterMs for rate limits
+     */
+    inspect(req, body) {
+        if (typeof body[this.honeypotField] === 'string' && body[this.honeypotField].trim() !== '') {
+            return { allowed: false, reason: 'honeypot' };
+        }
+
+        const elapsedMs = Number(body.elapsedMs);
+        if (!Number.isFinite(elapsedMs) || elapsedMs < this.minSubmitMs) {
+            return { allowed: false, reason: 'too-fast' };
+        }
+
+        const ip = this.getClientIp(req);
+        if (!this.ipLimiter.hit(ip)) {
+            return { allowed: false, reason: 'ip-rate-limit', rateLimited: true, retryAfterMs: this.ipLimiter.getRetryAfterMs(ip) };
+        }
+
+        return { allowed: true, reason: '' };
+    }
+
+    /**
+     * Checks the per-email limit once the address has been validated
+     * @param {string} email - Normalized email address
+     * @returns {Object} - { allowed, reason }, plus rateLimited and retryAfterMs when over the limit
+     */
+    inspectEmail(email) {
+        return this.emailLimiter.hit(email)
+            ? { allowed: true, reason: '' }
+            : { allowed: false, reason: 'email-rate-limit', rateLimited: true, retryAfterMs: this.emailLimiter.getRetryAfterMs(email) };
+    }
+
+    getClientIp(req) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (forwarded) {
+            return forwarded.split(',')[0].trim();
+        }
+        return (req.socket && req.socket.remoteAddress) || 'unknown';
+    }
+}
+
+module.exports = BotGuard;
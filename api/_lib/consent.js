@@ -0,0 +1,90 @@
+/**
+ * myBlueprint Career Launch - CASL Consent Records
+ * Checks the consent metadata sent with a signup and maps it to Zoho fields.
+ * The wording never comes from the browser: the version it sends must be
+ * one of the event's own consent texts (form.consent in
+ * locales/<locale>.json), and that text is what the lead records.
+ */
+
+const ZohoClient = require('./zoho-client.js');
+const { localizeEvent } = require('../../config/events.js');
+const { listLocales, loadLocale, renderMessage } = require('../../config/locales.js');
+
+// Allow for visitors whose clocks run slightly fast
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Consent wordings per event slug; they only change with a deploy
+const wordingCache = new Map();
+
+function truncate(value, maxLength) {
+    return typeof value === 'string' ? value.slice(0, maxLength) : '';
+}
+
+/**
+ * The consent wording an event's pages show (#consent-text), in every
+ * language, keyed by version
+ * @param {Object} event - Event the signup is for (see config/events.js)
+ * @param {FormValidator} validator - Computes the versions
+ * @returns {Map<string, string>} - Version → wording
+ */
+function getConsentWordings(event, validator) {
+    if (!wordingCache.has(event.slug)) {
+        const wordings = new Map();
+        listLocales().forEach(locale => {
+            const text = renderMessage(loadLocale(locale).form.consent, { event: localizeEvent(event, locale) }).trim();
+            wordings.set(validator.getConsentVersion(text), text);
+        });
+        wordingCache.set(event.slug, wordings);
+    }
+
+    return wordingCache.get(event.slug);
+}
+
+/**
+ * Validates a consent record and builds the Zoho lead fields for it
+ * @param {Object} record - { timestamp, version, pageUrl, userAgent } from the browser
+ * @param {IncomingMessage} req - Request (user agent fallback)
+ * @param {FormValidator} validator - Computes the consent versions
+ * @param {Object} event - Event the signup is for
+ * @returns {Object|null} - Zoho consent fields, or null if the record is unusable
+ */
+function buildConsentFields(record, req, validator, event) {
+    if (!record || typeof record !== 'object') return null;
+
+    // Any text the browser sent is ignored; the lead gets the wording the version stands for
+    const text = getConsentWordings(event, validator).get(record.version);
+    if (!text) {
+        return null;
+    }
+
+    // Queued offline signups keep their original consent time; never accept future times
+    const now = new Date();
+    let consentedAt = new Date(record.timestamp);
+    if (isNaN(consentedAt) || consentedAt.getTime() - now.getTime() > MAX_CLOCK_SKEW_MS) {
+        consentedAt = now;
+    }
+
+    let pageUrl = '';
+    try {
+        const url = new URL(record.pageUrl);
+        if (url.protocol === 'https:' || url.protocol === 'http:') {
+            pageUrl = truncate(url.href, 255);
+        }
+    } catch (error) {
+        pageUrl = '';
+    }
+
+    return {
+        Email_Opt_Out: false,
+        Consent_Timestamp: ZohoClient.formatDateTime(consentedAt),
+        Consent_Version: record.version,
+        Consent_Text: text,
+        Consent_Page_URL: pageUrl,
+        Consent_User_Agent: truncate(record.userAgent || req.headers['user-agent'], 255)
+    };
+}
+
+module.exports = {
+    buildConsentFields,
+    getConsentWordings
+};
@@ -0,0 +1,104 @@
+/**
+ * myBlueprint Career Launch - Serverless HTTP Helpers
+ * Small request/response utilities shared by the /api routes
+ */
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * Reads and parses a JSON request body
+ * Vercel pre-parses JSON bodies, but plain Node servers hand us a stream
+ * @param {IncomingMessage} req - Incoming request
+ * @returns {Promise<Object>} - Parsed body (empty object when missing)
+ * @throws {Error} - When the body is not a JSON object (null, arrays and numbers included)
+ */
+async function readJsonBody(req) {
+    if (req.body !== undefined && req.body !== null && typeof req.body !== 'string') {
+        return requireObject(req.body);
+    }
+
+    let raw = typeof req.body === 'string' ? req.body : '';
+
+    if (!raw && typeof req.on === 'function') {
+        raw = await new Promise((resolve, reject) => {
+            let data = '';
+            req.on('data', chunk => {
+                data += chunk;
+                if (data.length > MAX_BODY_BYTES) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => resolve(data));
+            req.on('error', reject);
+        });
+    }
+
+    if (!raw) return {};
+
+    let body;
+    try {
+        body = JSON.parse(raw);
+    } catch (error) {
+        throw new Error('Request body must be valid JSON');
+    }
+
+    return requireObject(body);
+}
+
+/**
+ * @param {*} body - Parsed request body
+ * @returns {Object} - The body, if it is a plain object
+ */
+function requireObject(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('Request body must be a JSON object');
+    }
+    return body;
+}
+
+/**
+ * Sends a JSON response
+ * @param {ServerResponse} res - Outgoing response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response payload
+ */
+function sendJson(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Redirects the browser to another URL
+ * @param {ServerResponse} res - Outgoing response
+ * @param {string} location - Target URL or path
+ */
+function redirect(res, location) {
+    res.statusCode = 303;
+    res.setHeader('Location', location);
+    res.setHeader('Cache-Control', 'no-store');
+    res.end();
+}
+
+/**
+ * Public origin of the site, for links in emails
+ * @param {IncomingMessage} req - Incoming request
+ * @returns {string} - e.g. "https://careerlaunch.myblueprint.ca"
+ */
+function getSiteUrl(req) {
+    if (process.env.SITE_URL) {
+        return process.env.SITE_URL.replace(/\/$/, '');
+    }
+
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    return `${protocol}://${req.headers.host}`;
+}
+
+module.exports = {
+    readJsonBody,
+    sendJson,
+    redirect,
+    getSiteUrl
+};
@@ -0,0 +1,85 @@
+/**
+ * myBlueprint Career Launch - Transactional Mailer
+ * Sends the double opt-in confirmation email through ZeptoMail (Zoho's
+ * transactional email API)
+ */
+
+const { DEFAULT_LOCALE, loadLocale, renderMessage } = require('../../config/locales.js');
+const { EVENT_PHASES } = require('../../config/events.js');
+
+class Mailer {
+    constructor(config = {}) {
+        this.config = {
+            endpoint: config.endpoint || process.env.ZEPTOMAIL_ENDPOINT || 'https://api.zeptomail.com/v1.1/email',
+            token: config.token || process.env.ZEPTOMAIL_TOKEN || '',
+            fromAddress: config.fromAddress || process.env.MAIL_FROM_ADDRESS || '',
+            fromName: config.fromName || process.env.MAIL_FROM_NAME || 'myBlueprint Career Launch',
+            timeout: config.timeout || 10000
+        };
+    }
+
+    isConfigured() {
+        return !!(this.config.token && this.config.fromAddress);
+    }
+
+    /**
+     * Sends the confirm-your-email message
+     * @param {Object} recipient - { email, firstName }
+     * @param {string} confirmUrl - Link to confirm.html with the signed token
+     * @param {Object} event - Event the signup is for (see config/events.js)
+     * @param {string} locale - Language to write in (the "email" copy in locales/<locale>.json)
+     * @param {string} phase - Lifecycle phase at signup, which picks what the intro promises
+     * @returns {Promise<void>}
+     */
+    async sendConfirmation(recipient, confirmUrl, event, locale = DEFAULT_LOCALE, phase = EVENT_PHASES[0]) {
+        if (!this.isConfigured()) {
+            // Local development: no mail provider, so surface the link in the logs
+            if (process.env.NODE_ENV !== 'production') {
+                console.log(`Mailer: Confirmation link for ${recipient.email}: ${confirmUrl}`);
+                return;
+            }
+            throw new Error('Mail provider is not configured');
+        }
+
+        const messages = (loadLocale(locale) || loadLocale(DEFAULT_LOCALE)).email;
+        const render = message => renderMessage(message, { event, recipient });
+        const copy = key => render(messages[key]);
+        const greeting = recipient.firstName ? copy('greetingName') : copy('greeting');
+        const intro = render(messages.intro[phase] || messages.intro[EVENT_PHASES[0]]);
+
+        const response = await fetch(this.config.endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Zoho-enczapikey ${this.config.token}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({
+                from: { address: this.config.fromAddress, name: this.config.fromName },
+                to: [{ email_address: { address: recipient.email, name: recipient.firstName || '' } }],
+                subject: copy('subject'),
+                textbody: `${greeting}\n\n${intro}\n\n${confirmUrl}\n\n${copy('ignore')}`,
+                htmlbody: `<p>${this.escapeHtml(greeting)}</p>`
+                    + `<p>${this.escapeHtml(intro)}</p>`
+                    + `<p><a href="${this.escapeHtml(confirmUrl)}">${this.escapeHtml(copy('action'))}</a></p>`
+                    + `<p>${this.escapeHtml(copy('ignore'))}</p>`
+            }),
+            signal: AbortSignal.timeout(this.config.timeout)
+        });
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error?.message || `Mail request failed (${response.status})`);
+        }
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,62 @@
+/**
+ * myBlueprint Career Launch - In-Memory Rate Limiter
+ * Fixed-window counters per key. State lives in the function instance, so
+ * limits apply per warm instance rather than globally; that is enough to
+ * blunt scripted bursts without adding a datastore.
+ */
+
+class RateLimiter {
+    constructor(config = {}) {
+        this.limit = config.limit || 5;
+        this.windowMs = config.windowMs || 10 * 60 * 1000;
+        this.maxKeys = config.maxKeys || 10000;
+        this.now = config.now || (() => Date.now());
+        this.windows = new Map();
+    }
+
+    /**
+     * Records a hit for a key
+     * @param {string} key - e.g. an IP address or email
+     * @returns {boolean} - Whether the hit is within the limit
+     */
+    hit(key) {
+        const now = this.now();
+        let window = this.windows.get(key);
+
+        if (!window || now - window.startedAt >= this.windowMs) {
+            window = { startedAt: now, count: 0 };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+
+        if (this.windows.size > this.maxKeys) {
+            this.prune(now);
+        }
+
+        return window.count <= this.limit;
+    }
+
+    /**
+     * @param {string} key - Key that went over the limit
+     * @returns {number} - Milliseconds until its window ends (0 if it has none)
+     */
+    getRetryAfterMs(key) {
+        const window = this.windows.get(key);
+        return window ? Math.max(window.startedAt + this.windowMs - this.now(), 0) : 0;
+    }
+
+    /**
+     * Drops expired windows so memory stays bounded
+     * @param {number} now - Current time in ms
+     */
+    prune(now = this.now()) {
+        for (const [key, window] of this.windows) {
+            if (now - window.startedAt >= this.windowMs) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,75 @@
+/**
+ * myBlueprint Career Launch - Sealed Signup Tokens
+ * Pending (unconfirmed) signups travel inside an encrypted, authenticated,
+ * expiring token in the confirmation link, so nothing is written anywhere
+ * until the address is confirmed and the link never shows the details
+ */
+
+const crypto = require('crypto');
+
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+class SignupTokenSigner {
+    constructor(config = {}) {
+        this.secret = config.secret || process.env.SIGNUP_TOKEN_SECRET || '';
+        this.ttl = config.ttl || (Number(process.env.CONFIRM_TOKEN_TTL_HOURS) || 48) * 60 * 60 * 1000;
+        this.now = config.now || (() => Date.now());
+    }
+
+    isConfigured() {
+        return this.secret.length >= 32;
+    }
+
+    /**
+     * Encrypts a pending signup record
+     * @param {Object} record - Data to carry until confirmation
+     * @returns {string} - Token of the form "<iv>.<ciphertext>.<tag>"
+     */
+    sign(record) {
+        const issuedAt = this.now();
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(CIPHER, this.key(), iv);
+        const ciphertext = Buffer.concat([
+            cipher.update(JSON.stringify({ record, iat: issuedAt, exp: issuedAt + this.ttl }), 'utf8'),
+            cipher.final()
+        ]);
+
+        return [iv, ciphertext, cipher.getAuthTag()].map(part => part.toString('base64url')).join('.');
+    }
+
+    /**
+     * Decrypts a token and checks that it is untouched and unexpired
+     * @param {string} token - Token from the confirmation link
+     * @returns {Object} - { valid, expired, record }
+     */
+    verify(token) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3 || parts.some(part => !part)) {
+            return { valid: false, expired: false, record: null };
+        }
+
+        let decoded;
+        try {
+            const [iv, ciphertext, tag] = parts.map(part => Buffer.from(part, 'base64url'));
+            const decipher = crypto.createDecipheriv(CIPHER, this.key(), iv);
+            decipher.setAuthTag(tag);
+            decoded = JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+        } catch (error) {
+            // Wrong secret, edited token or bad encoding: GCM authentication fails
+            return { valid: false, expired: false, record: null };
+        }
+
+        if (!decoded.exp || this.now() > decoded.exp) {
+            return { valid: false, expired: true, record: null };
+        }
+
+        return { valid: true, expired: false, record: decoded.record };
+    }
+
+    key() {
+        return crypto.createHash('sha256').update(this.secret).digest();
+    }
+}
+
+module.exports = SignupTokenSigner;
@@ -0,0 +1,175 @@
+/**
+ * myBlueprint Career Launch - Zoho CRM Client
+ * Server-side wrapper around the Zoho Leads API. Credentials stay here and
+ * never reach the browser.
+ */
+
+const ZohoTokenManager = require('./zoho-token.js');
+const { EVENT_PHASES } = require('../../config/events.js');
+const { renderMessage } = require('../../config/locales.js');
+
+class ZohoClient {
+    constructor(config = {}) {
+        this.config = {
+            endpoint: config.endpoint || process.env.ZOHO_ENDPOINT || 'https://www.zohoapis.com/crm/v2/Leads',
+            timeout: config.timeout || Number(process.env.FORM_TIMEOUT) || 10000
+        };
+
+        this.tokenManager = config.tokenManager || new ZohoTokenManager({ timeout: this.config.timeout });
+    }
+
+    /**
+     * Whether the client has enough configuration to call Zoho
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return !!(this.config.endpoint && this.tokenManager.isConfigured());
+    }
+
+    /**
+     * Builds the Zoho record for a new lead: the signup's fields plus the
+     * source, status and description sales start from
+     * @param {Object} leadFields - Form values keyed by Zoho field (see FormValidator.buildLeadFields)
+     * @param {Object} event - Event the signup is for (see config/events.js)
+     * @param {string} phase - Lifecycle phase at signup (js/lifecycle.js)
+     * @returns {Object} - Zoho Leads API payload
+     */
+    buildLeadPayload(leadFields, event, phase) {
+        // Signups from before the lifecycle existed were all agenda notifications
+        const source = event.phases[phase] || event.phases[EVENT_PHASES[0]];
+
+        return {
+            data: [{
+                ...leadFields,
+                Lead_Source: source.leadSource,
+                Lead_Status: 'Not Contacted',
+                Description: renderMessage(source.description, { event })
+            }]
+        };
+    }
+
+    /**
+     * Creates the lead, or updates the one that already has this email.
+     * Lead_Source, Lead_Status and Description are only set on new leads;
+     * once a lead exists sales own them, so a repeat signup leaves them alone.
+     * @param {Object} data - Lead values keyed by Zoho field
+     * @param {Object} event - Event the signup is for
+     * @param {string} phase - Lifecycle phase at signup
+     * @param {Object|null} existingLead - Lead already looked up by email, if the caller has it
+     * @returns {Promise<Object>} - Result with success, lead id and duplicate flag
+     */
+    async upsertLead(data, event, phase, existingLead) {
+        const existing = existingLead !== undefined ? existingLead : await this.findLeadByEmail(data.Email);
+        if (existing) {
+            await this.updateLead(existing.id, data);
+            return { success: true, id: existing.id, duplicate: true };
+        }
+
+        // Still matched on Email, so a lead created since the lookup isn't duplicated
+        const payload = {
+            ...this.buildLeadPayload(data, event, phase),
+            duplicate_check_fields: ['Email']
+        };
+
+        const result = await this.request(`${this.baseUrl()}/upsert`, { method: 'POST', body: payload });
+        const record = result.data?.[0];
+
+        if (record && record.status === 'success') {
+            return {
+                success: true,
+                id: record.details.id,
+                duplicate: record.action === 'update'
+            };
+        }
+
+        const errorMsg = record?.message || result.message || 'Zoho API request failed';
+        throw new Error(errorMsg);
+    }
+
+    /**
+     * Changes fields on an existing lead, leaving the rest as they are
+     * @param {string} id - Zoho record id
+     * @param {Object} fields - Lead values keyed by Zoho field
+     * @returns {Promise<Object>} - Result with success and lead id
+     */
+    async updateLead(id, fields) {
+        const result = await this.request(`${this.baseUrl()}/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            body: { data: [fields] }
+        });
+        const record = result.data?.[0];
+
+        if (record && record.status === 'success') {
+            return { success: true, id };
+        }
+
+        const errorMsg = record?.message || result.message || 'Zoho API request failed';
+        throw new Error(errorMsg);
+    }
+
+    /**
+     * Looks up an existing lead by email
+     * @param {string} email - Normalized email address
+     * @returns {Promise<Object|null>} - Zoho lead record, or null when none exists
+     */
+    async findLeadByEmail(email) {
+        const url = `${this.baseUrl()}/search?email=${encodeURIComponent(email)}`;
+        const result = await this.request(url, { method: 'GET' });
+
+        // Zoho answers 204 with no body when nothing matches
+        return result.data?.[0] || null;
+    }
+
+    /**
+     * Formats a date the way Zoho DateTime fields expect (no milliseconds)
+     * @param {Date} date - Date to format
+     * @returns {string} - e.g. "2025-10-01T14:03:00+00:00"
+     */
+    static formatDateTime(date) {
+        return date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+    }
+
+    baseUrl() {
+        return this.config.endpoint.replace(/\/$/, '');
+    }
+
+    /**
+     * Sends an authenticated request to Zoho
+     * Refreshes the access token and retries once when Zoho rejects it
+     * @param {string} url - Zoho API URL
+     * @param {Object} options - { method, body } where body is JSON-serializable
+     * @param {boolean} isRetry - Whether this is the post-refresh retry
+     * @returns {Promise<Object>} - Parsed Zoho response
+     */
+    async request(url, options = {}, isRetry = false) {
+        const accessToken = await this.tokenManager.getAccessToken();
+
+        const response = await fetch(url, {
+            method: options.method || 'POST',
+            headers: {
+                'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+            signal: AbortSignal.timeout(this.config.timeout)
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (result.code === 'INVALID_TOKEN' && !isRetry && this.tokenManager.canRefresh()) {
+            console.warn('Zoho: Access token rejected, refreshing and retrying');
+            this.tokenManager.invalidate();
+            return this.request(url, options, true);
+        }
+
+        if (!response.ok) {
+            const errorMsg = result.data?.[0]?.message || result.message || `Zoho API request failed (${response.status})`;
+            throw new Error(errorMsg);
+        }
+
+        return result;
+    }
+}
+
+module.exports = ZohoClient;
@@ -0,0 +1,116 @@
+/**
+ * myBlueprint Career Launch - Zoho OAuth Token Manager
+ * Exchanges the long-lived refresh token for short-lived access tokens and
+ * caches them until shortly before they expire
+ */
+
+class ZohoTokenManager {
+    constructor(config = {}) {
+        this.config = {
+            clientId: config.clientId || process.env.ZOHO_CLIENT_ID || '',
+            clientSecret: config.clientSecret || process.env.ZOHO_CLIENT_SECRET || '',
+            refreshToken: config.refreshToken || process.env.ZOHO_REFRESH_TOKEN || '',
+            // Override to point at another data centre (accounts.zoho.eu) or a local fake
+            accountsUrl: config.accountsUrl || process.env.ZOHO_ACCOUNTS_URL || 'https://accounts.zoho.com',
+            // Static access token, used only when refresh credentials are missing
+            staticToken: config.staticToken || process.env.ZOHO_AUTH_TOKEN || '',
+            timeout: config.timeout || 10000,
+            // Refresh this long before Zoho's stated expiry to avoid racing it
+            expiryMarginMs: config.expiryMarginMs ?? 60000
+        };
+
+        this.now = config.now || (() => Date.now());
+        this.accessToken = null;
+        this.expiresAt = 0;
+        this.pendingRefresh = null;
+    }
+
+    /**
+     * Whether refresh-token credentials are available
+     * @returns {boolean}
+     */
+    canRefresh() {
+        const { clientId, clientSecret, refreshToken } = this.config;
+        return !!(clientId && clientSecret && refreshToken);
+    }
+
+    /**
+     * Whether any kind of token can be produced
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return this.canRefresh() || !!this.config.staticToken;
+    }
+
+    /**
+     * Returns a usable access token, refreshing it if needed
+     * @returns {Promise<string>} - Zoho OAuth access token
+     */
+    async getAccessToken() {
+        if (!this.canRefresh()) {
+            return this.config.staticToken;
+        }
+
+        if (this.accessToken && this.now() < this.expiresAt) {
+            return this.accessToken;
+        }
+
+        return this.refresh();
+    }
+
+    /**
+     * Exchanges the refresh token for a new access token
+     * Concurrent callers share a single in-flight request
+     * @returns {Promise<string>} - New access token
+     */
+    refresh() {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.requestAccessToken()
+                .finally(() => {
+                    this.pendingRefresh = null;
+                });
+        }
+
+        return this.pendingRefresh;
+    }
+
+    async requestAccessToken() {
+        const { clientId, clientSecret, refreshToken, accountsUrl, timeout, expiryMarginMs } = this.config;
+
+        const response = await fetch(`${accountsUrl.replace(/\/$/, '')}/oauth/v2/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'refresh_token',
+                client_id: clientId,
+                client_secret: clientSecret,
+                refresh_token: refreshToken
+            }),
+            signal: AbortSignal.timeout(timeout)
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        // Zoho answers failed exchanges with 200 and an `error` field
+        if (!response.ok || result.error || !result.access_token) {
+            this.invalidate();
+            throw new Error(`Zoho token refresh failed: ${result.error || response.status}`);
+        }
+
+        const lifetimeMs = (Number(result.expires_in) || 3600) * 1000;
+        this.accessToken = result.access_token;
+        this.expiresAt = this.now() + Math.max(lifetimeMs - expiryMarginMs, 0);
+
+        return this.accessToken;
+    }
+
+    /**
+     * Drops the cached access token so the next call refreshes
+     */
+    invalidate() {
+        this.accessToken = null;
+        this.expiresAt = 0;
+    }
+}
+
+module.exports = ZohoTokenManager;
@@ -0,0 +1,73 @@
+/**
+ * myBlueprint Career Launch - Signup Confirmation Endpoint
+ * POST /api/confirm { token }
+ * Called by confirm.html when the visitor presses its confirm button, never
+ * by simply opening the emailed link, so link scanners that fetch every URL
+ * in an email can't confirm an address. Opens the sealed token
+ * /api/subscribe emailed and only then writes the lead to Zoho, confirmed.
+ * Answers with the status confirm.html shows, and the phase the visitor
+ * signed up in so it can say what they'll hear about.
+ */
+
+const ZohoClient = require('./_lib/zoho-client.js');
+const SignupTokenSigner = require('./_lib/signup-token.js');
+const { readJsonBody, redirect, sendJson } = require('./_lib/http.js');
+const { DEFAULT_EVENT, loadEvent } = require('../config/events.js');
+
+// Module scope so warm invocations reuse the cached access token
+const zoho = new ZohoClient();
+const signer = new SignupTokenSigner();
+
+module.exports = async function confirm(req, res) {
+    // Links from before confirmation moved to confirm.html carry tokens it can't use
+    if (req.method === 'GET') {
+        return redirect(res, `/${DEFAULT_EVENT}/confirm.html?status=expired`);
+    }
+
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'GET, POST');
+        return sendJson(res, 405, { success: false, message: 'Method not allowed' });
+    }
+
+    let body;
+    try {
+        body = await readJsonBody(req);
+    } catch (error) {
+        return sendJson(res, 400, { success: false, status: 'invalid' });
+    }
+
+    const verification = signer.verify(body.token);
+    const { event: slug, lead, nonce, existing, phase } = verification.record || {};
+    const event = slug ? loadEvent(slug) : null;
+    if (!verification.valid || !lead || typeof lead !== 'object' || !lead.Email || !nonce || !event) {
+        return sendJson(res, 400, { success: false, status: verification.expired ? 'expired' : 'invalid' });
+    }
+
+    const status = existing ? 'updated' : 'confirmed';
+
+    try {
+        const current = await zoho.findLeadByEmail(lead.Email);
+
+        if (current && current.Email_Confirmed) {
+            // Pressed twice, or opened again later: already done, nothing to write
+            if (current.Confirmation_Nonce === nonce) {
+                return sendJson(res, 200, { success: true, status, phase });
+            }
+
+            // Confirmed through another link since; this one's details are out of date
+            return sendJson(res, 400, { success: false, status: 'expired' });
+        }
+
+        await zoho.upsertLead({
+            ...lead,
+            Email_Confirmed: true,
+            Email_Confirmed_At: ZohoClient.formatDateTime(new Date()),
+            Confirmation_Nonce: nonce
+        }, event, phase, current);
+
+        return sendJson(res, 200, { success: true, status, phase });
+    } catch (error) {
+        console.error('Confirm: Zoho update failed:', error.message);
+        return sendJson(res, 502, { success: false, status: 'error' });
+    }
+};
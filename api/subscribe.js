@@ -0,0 +1,154 @@
+/**
+ * myBlueprint Career Launch - Signup Endpoint
+ * POST /api/subscribe
+ * Re-validates the signup on the server and emails a link to confirm.html
+ * carrying the lead, sealed. Nothing reaches Zoho until the visitor presses
+ * the button there (see confirm.js), so nobody can overwrite someone else's
+ * lead, or record consent for them, with an address they don't own.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const ZohoClient = require('./_lib/zoho-client.js');
+const SignupTokenSigner = require('./_lib/signup-token.js');
+const Mailer = require('./_lib/mailer.js');
+const { readJsonBody, sendJson, getSiteUrl } = require('./_lib/http.js');
+const BotGuard = require('./_lib/bot-guard.js');
+const { buildConsentFields } = require('./_lib/consent.js');
+const { DEFAULT_EVENT, loadEvent, localizeEvent } = require('../config/events.js');
+const { getLocalePrefix } = require('../config/locales.js');
+const { loadEmailPolicies } = require('../config/index.js');
+
+// Module scope so warm invocations reuse the cached access token and rate limits
+const zoho = new ZohoClient();
+const signer = new SignupTokenSigner();
+const mailer = new Mailer();
+const botGuard = new BotGuard();
+
+// The validator and lifecycle are shared with the browser, which loads js/ as ES modules
+const sharedModules = Promise.all([
+    import('../js/validation.js'),
+    import('../js/school-boards.js'),
+    import('../js/lifecycle.js')
+]).then(([{ default: FormValidator }, { default: SchoolBoardDirectory }, { default: EventLifecycle }]) => ({
+    FormValidator,
+    EventLifecycle,
+    directory: new SchoolBoardDirectory()
+}));
+
+// What a real signup gets back, so bots caught by the honeypot or the timing check can't tell
+const DECOY_RESPONSE = { success: true, pending: true };
+
+/**
+ * Answers a request the bot guard stopped. Rate limits get an honest 429,
+ * because people on a shared school network reach them too and need to
+ * know to try again; only suspected bots get the decoy.
+ * @param {ServerResponse} res - Outgoing response
+ * @param {Object} inspection - BotGuard result
+ * @param {FormValidator} validator - For the message in the visitor's language
+ */
+function sendRejection(res, inspection, validator) {
+    if (inspection.rateLimited) {
+        console.warn(`Subscribe: Rate limited (${inspection.reason})`);
+        res.setHeader('Retry-After', String(Math.ceil(inspection.retryAfterMs / 1000)));
+        return sendJson(res, 429, { success: false, message: validator.messages.rateLimited });
+    }
+
+    console.warn(`Subscribe: Rejected suspected bot (${inspection.reason})`);
+    return sendJson(res, 200, DECOY_RESPONSE);
+}
+
+module.exports = async function subscribe(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return sendJson(res, 405, { success: false, message: 'Method not allowed' });
+    }
+
+    let body;
+    try {
+        body = await readJsonBody(req);
+    } catch (error) {
+        return sendJson(res, 400, { success: false, message: error.message });
+    }
+
+    const event = loadEvent(body.event || DEFAULT_EVENT);
+    if (!event) {
+        return sendJson(res, 400, { success: false, message: 'Unknown event' });
+    }
+
+    // Errors and the confirmation email in the language the visitor signed up in
+    const { FormValidator, EventLifecycle, directory } = await sharedModules;
+    // The same DISPOSABLE_EMAIL_POLICY / ROLE_EMAIL_POLICY the build gave the page,
+    // so a "block" can't be skipped by posting here directly
+    const validator = new FormValidator(undefined, {
+        directory,
+        locale: body.language,
+        emailPolicies: loadEmailPolicies({ rootDir: path.join(__dirname, '..') })
+    });
+    const locale = validator.i18n.locale;
+
+    const inspection = botGuard.inspect(req, body);
+    if (!inspection.allowed) {
+        return sendRejection(res, inspection, validator);
+    }
+
+    // Same schema and rules as the browser. The email is only trimmed and
+    // lowercased, never rewritten, so the lead and the email reach the same mailbox.
+    const validation = validator.validateData({ ...body, language: locale });
+    if (!validation.isValid) {
+        return sendJson(res, 400, {
+            success: false,
+            message: Object.values(validation.errors)[0],
+            errors: validation.errors
+        });
+    }
+
+    const emailInspection = botGuard.inspectEmail(validation.data.email);
+    if (!emailInspection.allowed) {
+        return sendRejection(res, emailInspection, validator);
+    }
+
+    // CASL: no lead without an auditable record of the consent wording
+    const consentFields = buildConsentFields(body.consentRecord, req, validator, event);
+    if (!consentFields) {
+        const message = validator.getFieldMessages(validator.getField('consent')).required;
+        return sendJson(res, 400, { success: false, message, errors: { consent: message } });
+    }
+
+    if (!zoho.isConfigured() || !signer.isConfigured()) {
+        console.error('Subscribe: Zoho credentials or SIGNUP_TOKEN_SECRET are not configured');
+        return sendJson(res, 500, { success: false, message: validator.messages.serverError });
+    }
+
+    try {
+        // Already confirmed: nothing to do, and no need for another email
+        const existingLead = await zoho.findLeadByEmail(validation.data.email);
+        if (existingLead && existingLead.Email_Confirmed) {
+            return sendJson(res, 200, { success: true, duplicate: true });
+        }
+
+        // The phase comes from the clock, not the page, so a ?phase= preview can't change the lead
+        const phase = new EventLifecycle(event).getPhase();
+
+        // The lead waits, encrypted, in the link; the nonce lets /api/confirm
+        // tell this link being used again from another link for the same address
+        const token = signer.sign({
+            event: event.slug,
+            locale,
+            phase,
+            lead: { ...validator.buildLeadFields(validation.data), ...consentFields },
+            nonce: crypto.randomUUID(),
+            // On the list before this signup, but never confirmed
+            existing: !!existingLead
+        });
+
+        // In the fragment, which browsers never send, so the token stays out of server logs
+        const confirmUrl = `${getSiteUrl(req)}/${event.slug}/${getLocalePrefix(locale)}confirm.html#token=${encodeURIComponent(token)}`;
+
+        await mailer.sendConfirmation(validation.data, confirmUrl, localizeEvent(event, locale), locale, phase);
+        return sendJson(res, 200, { success: true, pending: true });
+    } catch (error) {
+        console.error('Subscribe: Signup failed:', error.message);
+        return sendJson(res, 502, { success: false, message: validator.messages.serverError });
+    }
+};
@@ -7,11 +7,82 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const esbuild = require('esbuild');
+const sharp = require('sharp');
+const subsetFont = require('subset-font');
+const { loadConfig } = require('./config');
+const { EVENTS_DIR, listEvents, localizeEvent } = require('./config/events.js');
+const { DEFAULT_LOCALE, LOCALES_DIR, getLocalePrefix, listLocales, loadLocale, renderMessages } = require('./config/locales.js');
 
 class BuildOptimizer {
-    constructor() {
-        this.buildDir = 'dist';
+    constructor(options = {}) {
+        // Each event's site is written to dist/<slug>/ (buildDir points at the one being built)
+        this.outputDir = 'dist';
+        this.buildDir = this.outputDir;
         this.sourceDir = '.';
+        this.environment = options.environment;
+        // The dev server turns fingerprinting off so file names stay stable between rebuilds
+        this.fingerprint = options.fingerprint !== false;
+        this.config = null;
+        this.pages = ['index.html', 'confirm.html'];
+        // <!-- @include components/hero.html --> (paths are relative to the project root)
+        this.includePattern = /^([ \t]*)<!--\s*@include\s+(\S+)\s*-->[ \t]*$/gm;
+        // <!-- @each event.details components/event-detail.html --> renders the partial per item
+        this.eachPattern = /^([ \t]*)<!--\s*@each\s+([\w.]+)\s+(\S+)\s*-->[ \t]*$/gm;
+        // {{ event.dateLabel }}: values from event.json, {{ t.footer.contact }}: page copy from
+        // locales/<locale>.json, {{ page.locale }}: the page's language (and {{ item.* }} inside @each)
+        this.placeholderPattern = /\{\{\s*([\w.]+)\s*\}\}/g;
+        // Events to build (events/<slug>/event.json); all of them unless options.events lists slugs
+        this.eventsDir = EVENTS_DIR;
+        this.eventSlugs = options.events || null;
+        this.events = [];
+        this.event = null;
+        // Languages (locales/<locale>.json): English pages at the site root, the rest under <locale>/
+        this.localesDir = LOCALES_DIR;
+        this.locales = [];
+        this.messages = {};
+        // Runtime catalogs (js/i18n/<locale>.js), for strings both the build and the scripts render
+        this.catalogs = {};
+        // Stylesheet that gets each event's theme colours
+        this.themeStylesheet = 'styles/globals.css';
+        // Stylesheets combined, in cascade order, into styles/main.css
+        this.stylesheets = [
+            'styles/globals.css',
+            'styles/components/slider.css',
+            'styles/components/hero.css',
+            'styles/components/bento.css',
+            'styles/components/countdown.css',
+            'styles/components/footer.css',
+            'styles/components/language-toggle.css'
+        ];
+        // Above-the-fold partials per page: the CSS they use is inlined and
+        // styles/main.css loads without blocking render
+        this.criticalPartials = {
+            'index.html': [
+                'components/language-toggle.html',
+                'components/language-option.html',
+                'components/slider.html',
+                'components/portrait.html',
+                'components/hero.html',
+                'components/phase-headline.html',
+                'components/phase-intro.html'
+            ]
+        };
+        // Entry modules (<script type="module" src="js/main.js">) and the bundle each becomes
+        this.scriptBundles = {
+            'js/main.js': 'js/app.js',
+            'js/confirm.js': 'js/confirm.js'
+        };
+        // Built assets are renamed name.<hash>.ext (served as immutable)
+        this.manifest = {};
+        // Responsive image variants: every raster image gets these widths in each format
+        this.imageWidths = [160, 320, 640, 1280];
+        this.imageFormats = ['avif', 'webp'];
+        this.imageFallbackWidth = 640;
+        this.imageCacheDir = path.join('node_modules', '.cache', 'career-launch-images');
+        this.images = {};
         this.startTime = Date.now();
     }
 
@@ -19,24 +90,11 @@ class BuildOptimizer {
         console.log('🚀 Building myBlueprint Career Launch Landing Page...\n');
 
         try {
-            // Clean build directory
-            await this.cleanBuildDir();
-            
-            // Create build directory structure
-            await this.createBuildStructure();
-            
-            // Copy and optimize files
-            await this.copyStaticFiles();
-            await this.optimizeHTML();
-            await this.optimizeCSS();
-            await this.optimizeJS();
-            
-            // Generate production config
-            await this.generateProductionConfig();
+            await this.run();
             
             const buildTime = Date.now() - this.startTime;
             console.log(`✅ Build completed successfully in ${buildTime}ms`);
-            console.log(`📦 Production files are in the '${this.buildDir}' directory`);
+            console.log(`📦 Production files are in '${this.outputDir}/' (${this.events.map(event => event.slug).join(', ')})`);
             
         } catch (error) {
             console.error('❌ Build failed:', error.message);
@@ -44,11 +102,147 @@ class BuildOptimizer {
         }
     }
 
+    /**
+     * Runs every build step for every event. Throws on failure (build()
+     * reports and exits; the dev server keeps running and shows the error instead)
+     */
+    async run() {
+        // Resolve configuration and events first so a missing value fails before anything is written
+        this.loadConfig();
+        this.loadEvents();
+        this.loadLocales();
+        await this.loadLifecycle();
+        await this.loadCatalogs();
+        
+        // Clean build directory
+        await this.cleanBuildDir();
+        
+        await this.forEachSite(event => this.buildSite(event));
+    }
+
+    /**
+     * Builds one event's site into dist/<slug>/
+     * @param {Object} event - Event from events/<slug>/event.json
+     */
+    async buildSite(event) {
+        console.log(`\n🎪 ${event.name} → ${this.buildDir}/`);
+        
+        // Create build directory structure
+        await this.createBuildStructure();
+        
+        // Copy and optimize files. Images are fingerprinted before the CSS that
+        // references them, and scripts/styles before the pages that load them
+        this.manifest = {};
+        await this.copyStaticFiles();
+        await this.optimizeImages();
+        await this.optimizeFonts();
+        if (this.fingerprint) await this.hashAssets(['images', 'fonts']);
+        await this.optimizeCSS();
+        await this.generateRuntimeConfig();
+        await this.optimizeJS();
+        if (this.fingerprint) await this.hashAssets(['styles', 'js']);
+        await this.optimizeHTML();
+        if (this.fingerprint) await this.writeAssetManifest();
+        
+        // Generate production config
+        await this.generateProductionConfig();
+    }
+
+    /**
+     * Runs a step once per event, with buildDir and event pointing at that event's site
+     * @param {Function} step - Called with the event
+     */
+    async forEachSite(step) {
+        for (const event of this.events) {
+            this.useEvent(event);
+            await step(event);
+        }
+    }
+
+    /**
+     * @param {Object} event - Event whose site later steps build
+     */
+    useEvent(event) {
+        this.event = event;
+        this.buildDir = path.join(this.outputDir, event.slug);
+    }
+
+    loadConfig() {
+        this.config = loadConfig({ environment: this.environment, rootDir: this.sourceDir });
+        console.log(`🔧 Environment: ${this.config.environment}\n`);
+        return this.config;
+    }
+
+    /**
+     * Reads the events to build from events/<slug>/event.json
+     * @returns {Array<Object>} - Events, each with its slug
+     */
+    loadEvents() {
+        const events = listEvents(this.sourceDir);
+        const unknown = (this.eventSlugs || []).filter(slug => !events.some(event => event.slug === slug));
+
+        if (unknown.length > 0) {
+            throw new Error(`Unknown event(s): ${unknown.join(', ')} (see ${this.eventsDir}/)`);
+        }
+
+        this.events = this.eventSlugs ? events.filter(event => this.eventSlugs.includes(event.slug)) : events;
+        if (this.events.length === 0) {
+            throw new Error(`No events found in ${this.eventsDir}/ (expected ${this.eventsDir}/<slug>/event.json)`);
+        }
+
+        this.useEvent(this.events[0]);
+        return this.events;
+    }
+
+    /**
+     * Reads the page copy for every language in locales/. Each language
+     * needs a matching runtime catalog (js/i18n/<locale>.js) too.
+     * @returns {Array<string>} - Locale codes, English first
+     */
+    loadLocales() {
+        this.locales = listLocales(this.sourceDir);
+        if (!this.locales.includes(DEFAULT_LOCALE)) {
+            throw new Error(`Missing ${this.localesDir}/${DEFAULT_LOCALE}.json`);
+        }
+
+        this.messages = {};
+        this.locales.forEach(locale => {
+            if (!fs.existsSync(path.join(this.sourceDir, 'js', 'i18n', `${locale}.js`))) {
+                throw new Error(`Missing js/i18n/${locale}.js (the scripts' strings for ${this.localesDir}/${locale}.json)`);
+            }
+            this.messages[locale] = loadLocale(locale, this.sourceDir);
+        });
+
+        return this.locales;
+    }
+
+    /**
+     * Loads js/lifecycle.js (an ES module, shared with the page) so the build
+     * renders the phase the event is in now; the page switches when it changes
+     */
+    async loadLifecycle() {
+        const { default: EventLifecycle } = await import(pathToFileURL(path.join(this.sourceDir, 'js', 'lifecycle.js')).href);
+        this.EventLifecycle = EventLifecycle;
+    }
+
+    /**
+     * Loads the runtime catalogs (js/i18n/<locale>.js, ES modules) for the
+     * strings a page renders and its scripts then change, such as each
+     * phase's submit label, so they are written in one place
+     */
+    async loadCatalogs() {
+        this.catalogs = {};
+        for (const locale of this.locales) {
+            const { default: catalog } = await import(pathToFileURL(path.join(this.sourceDir, 'js', 'i18n', `${locale}.js`)).href);
+            this.catalogs[locale] = catalog;
+        }
+    }
+
     async cleanBuildDir() {
         console.log('🧹 Cleaning build directory...');
         
-        if (fs.existsSync(this.buildDir)) {
-            fs.rmSync(this.buildDir, { recursive: true, force: true });
+        if (fs.existsSync(this.outputDir)) {
+            fs.rmSync(this.outputDir, { recursive: true, force: true });
         }
     }
 
@@ -78,11 +272,6 @@ class BuildOptimizer {
 
         // Copy package.json
         fs.copyFileSync('package.json', path.join(this.buildDir, 'package.json'));
-        
-        // Copy component directories to build
-        if (fs.existsSync('components')) {
-            this.copyDirectory('components', path.join(this.buildDir, 'components'));
-        }
     }
 
     copyDirectory(src, dest) {
@@ -104,13 +293,83 @@ class BuildOptimizer {
         });
     }
 
+    /**
+     * Subsets the web fonts checked into fonts/ to the characters the site can
+     * display and writes them to the build. Nothing is downloaded.
+     */
+    async optimizeFonts() {
+        console.log('🔤 Subsetting fonts...');
+
+        const text = this.getFontText();
+        const fonts = this.listFiles('fonts').filter(file => file.endsWith('.woff2'));
+
+        for (const font of fonts) {
+            const source = fs.readFileSync(font);
+            const subset = await subsetFont(source, text, { targetFormat: 'woff2' });
+            const outputPath = path.join(this.buildDir, font);
+
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, subset);
+            console.log(`  - ${font}: ${(source.length / 1024).toFixed(1)} KB → ${(subset.length / 1024).toFixed(1)} KB`);
+        }
+    }
+
+    /**
+     * Characters the fonts must cover: printable ASCII and Latin-1 (names
+     * typed into the form), plus everything in the pages, partials and scripts
+     * @returns {string}
+     */
+    getFontText() {
+        const range = (from, to) => Array.from({ length: to - from + 1 }, (value, i) => String.fromCharCode(from + i));
+        let text = [...range(0x20, 0x7e), ...range(0xa0, 0xff)].join('');
+
+        const sources = [
+            ...this.pages.filter(page => fs.existsSync(page)),
+            ...this.listFiles('components'),
+            ...this.listFiles(this.eventsDir),
+            ...this.listFiles(this.localesDir),
+            ...this.listFiles('js').filter(file => file.endsWith('.js'))
+        ];
+        sources.forEach(file => {
+            text += fs.readFileSync(file, 'utf8');
+        });
+
+        return [...new Set(text)].join('');
+    }
+
     async optimizeHTML() {
         console.log('📄 Optimizing HTML and assembling components...');
         
-        let html = fs.readFileSync('index.html', 'utf8');
+        for (const page of this.pages) {
+            if (!fs.existsSync(page)) continue;
+
+            for (const locale of this.locales) {
+                console.log(`  - Optimizing ${this.getPagePath(page, locale)}`);
+                await this.optimizePage(page, locale);
+            }
+        }
+    }
+    
+    /**
+     * Builds one page in one language
+     * @param {string} page - Source page (index.html)
+     * @param {string} locale - Locale code
+     */
+    async optimizePage(page, locale = DEFAULT_LOCALE) {
+        let html = fs.readFileSync(page, 'utf8');
+        const outputPage = this.getPagePath(page, locale);
         
         // Assemble components into main HTML
-        html = await this.assembleComponents(html);
+        html = await this.assembleComponents(html, page, [], this.getPageScope(page, locale));
+        
+        // Serve raster <img> tags as responsive <picture> elements
+        html = this.rewriteImages(html, page);
+
+        // Load bundles in place of the entry modules
+        html = this.rewriteScriptBundles(html, page);
+
+        // Inline above-the-fold CSS and load the rest without blocking render
+        html = await this.inlineCriticalCSS(html, page);
 
         // Minify HTML (basic optimization)
         html = html
@@ -121,178 +380,838 @@ class BuildOptimizer {
             // Remove leading/trailing whitespace
             .trim();
 
-        // Update paths for production
-        html = html.replace(
-            'url(\'images/bg-enhanced.svg\')',
-            'url(\'images/bg-hero.webp\'), url(\'images/bg-hero.jpg\')'
-        );
+        // Pages under fr/ reach the shared assets through ../
+        html = this.rebaseReferences(html, path.dirname(page), path.dirname(outputPage));
 
-        // Add cache-busting for assets
-        const timestamp = Date.now();
-        html = html
-            .replace(/href="styles\//g, `href="styles/`)
-            .replace(/src="js\//g, `src="js/`)
-            .replace(/globals\.css"/g, `globals.css?v=${timestamp}"`)
-            .replace(/main\.css"/g, `main.css?v=${timestamp}"`)
-            .replace(/responsive\.css"/g, `responsive.css?v=${timestamp}"`)
-            .replace(/main\.js"/g, `main.js?v=${timestamp}"`)
-            .replace(/validation\.js"/g, `validation.js?v=${timestamp}"`);
+        // Point every asset reference at its content-hashed file
+        html = this.rewriteAssetReferences(html, path.dirname(outputPage), outputPage);
+
+        const outputPath = path.join(this.buildDir, outputPage);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, html);
+    }
+
+    /**
+     * @param {string} page - Source page (confirm.html)
+     * @param {string} locale - Locale code
+     * @returns {string} - Where that language's version is built (fr/confirm.html)
+     */
+    getPagePath(page, locale) {
+        return `${getLocalePrefix(locale)}${page}`;
+    }
 
-        fs.writeFileSync(path.join(this.buildDir, 'index.html'), html);
+    /**
+     * @param {string} page - Source page
+     * @param {string} locale - Locale code
+     * @returns {string} - Link to that language's version, relative to the site root ("fr/", "./")
+     */
+    getPageHref(page, locale) {
+        return this.getPagePath(page, locale).replace(/(^|\/)index\.html$/, '$1') || './';
+    }
+
+    /**
+     * Values a page's placeholders can refer to in one language: the event
+     * with its translations applied, the page copy (t) and the page's
+     * language links and lifecycle phases (page). Every phase's copy is
+     * rendered, with all but the current phase hidden. Links are relative
+     * to the site root; rebaseReferences() adjusts them for pages under fr/.
+     * @param {string} page - Source page
+     * @param {string} locale - Locale code
+     * @returns {Object} - { event, t, page }
+     */
+    getPageScope(page, locale) {
+        const event = localizeEvent(this.event, locale);
+        const siteUrl = (this.config.siteUrl || '').replace(/\/$/, '');
+        const link = other => ({
+            locale: other,
+            name: this.messages[other].language,
+            href: this.getPageHref(page, other),
+            url: `${siteUrl}/${this.event.slug}/${this.getPageHref(page, other).replace(/^\.\/$/, '')}`
+        });
+        // The confirmation email's copy is filled in per recipient by api/_lib/mailer.js
+        const { email, ...copy } = this.messages[locale];
+        const alternates = siteUrl ? this.locales.map(link) : [];
+        if (alternates.length > 0) {
+            alternates.push({ ...link(DEFAULT_LOCALE), locale: 'x-default' });
+        }
+
+        const t = renderMessages(copy, { event });
+        const current = new this.EventLifecycle(this.event).getPhase();
+        const phases = this.EventLifecycle.PHASES.map(id => ({
+            id,
+            hidden: id === current ? '' : 'hidden',
+            copy: t.phases[id],
+            submit: this.catalogs[locale].phases[id].submit
+        }));
+
+        return {
+            event,
+            t,
+            page: {
+                locale,
+                home: this.getPageHref('index.html', locale),
+                languages: this.locales.filter(other => other !== locale).map(link),
+                alternates,
+                phases,
+                phase: phases.find(phase => phase.id === current)
+            }
+        };
     }
     
-    async assembleComponents(html) {
-        // This would be where component assembly happens
-        // For now, we'll keep the existing HTML structure
-        // but this method allows for future component assembly
-        
-        console.log('  - Keeping existing component structure in HTML');
-        return html;
+    /**
+     * Swaps each entry module script for its bundle, plus a nomodule script
+     * that only browsers without ES module support run
+     * @param {string} html - Page markup
+     * @param {string} page - Page path (for errors)
+     * @returns {string}
+     */
+    rewriteScriptBundles(html, page) {
+        return html.replace(/<script type="module" src="([^"]+)"><\/script>/g, (tag, src) => {
+            const entry = path.join(path.dirname(page), src).split(path.sep).join('/');
+            const bundle = this.scriptBundles[entry];
+            if (!bundle) {
+                throw new Error(`No bundle configured for module "${src}" in ${page}`);
+            }
+
+            return `<script type="module" src="${bundle}"></script>`
+                + `<script nomodule defer src="${this.getLegacyBundle(bundle)}"></script>`;
+        });
+    }
+
+    /**
+     * Fills in {{ placeholders }}, then replaces @each and @include directives
+     * with the partial's contents, recursively
+     * @param {string} html - Page or partial markup
+     * @param {string} file - Path of the file being assembled (for errors)
+     * @param {Array<string>} stack - Files currently being included (cycle detection)
+     * @param {Object} scope - Values placeholders can refer to ({ event, item })
+     * @returns {string} - Markup with every include resolved
+     */
+    async assembleComponents(html, file, stack = [], scope = { event: this.event }) {
+        const chain = [...stack, file];
+        let assembled = this.interpolate(html, scope, file);
+
+        for (const [directive, indent, listPath, includePath] of [...assembled.matchAll(this.eachPattern)]) {
+            const items = this.lookup(scope, listPath);
+            if (!Array.isArray(items)) {
+                throw new Error(`"${listPath}" in ${file} is not a list`);
+            }
+
+            const partial = this.readPartial(includePath, file, chain);
+            const rendered = [];
+            for (const item of items) {
+                rendered.push(await this.assembleComponents(partial.content, partial.name, chain, { ...scope, item }));
+            }
+            assembled = assembled.replace(directive, () => this.indent(rendered.join('\n'), indent));
+        }
+
+        for (const [directive, indent, includePath] of [...assembled.matchAll(this.includePattern)]) {
+            const partial = this.readPartial(includePath, file, chain);
+            console.log(`  - Including ${partial.name} in ${file}`);
+            const content = await this.assembleComponents(partial.content, partial.name, chain, scope);
+            assembled = assembled.replace(directive, () => this.indent(content, indent));
+        }
+
+        return assembled;
+    }
+
+    /**
+     * @param {string} includePath - Partial path from the directive
+     * @param {string} file - Including file (for errors)
+     * @param {Array<string>} chain - Files currently being included
+     * @returns {Object} - { name, content }
+     */
+    readPartial(includePath, file, chain) {
+        const partial = path.normalize(includePath);
+
+        if (chain.includes(partial)) {
+            throw new Error(`Circular include: ${[...chain, partial].join(' → ')}`);
+        }
+
+        const partialPath = path.join(this.sourceDir, partial);
+        if (!fs.existsSync(partialPath)) {
+            throw new Error(`Missing partial "${includePath}" included from ${file}`);
+        }
+
+        return { name: partial, content: fs.readFileSync(partialPath, 'utf8').trimEnd() };
+    }
+
+    /**
+     * Indents a partial to match its directive so the source stays readable
+     * @param {string} content - Partial markup
+     * @param {string} indent - Directive indentation
+     * @returns {string}
+     */
+    indent(content, indent) {
+        return content
+            .split('\n')
+            .map(line => (line ? indent + line : line))
+            .join('\n');
+    }
+
+    /**
+     * Replaces {{ path }} placeholders with HTML-escaped values from the scope
+     * @param {string} html - Markup
+     * @param {Object} scope - Values placeholders can refer to
+     * @param {string} file - File being rendered (for errors)
+     * @returns {string}
+     */
+    interpolate(html, scope, file) {
+        return html.replace(this.placeholderPattern, (placeholder, valuePath) => {
+            const value = this.lookup(scope, valuePath);
+            if (value === undefined || value === null || typeof value === 'object') {
+                throw new Error(`Unknown value ${placeholder} in ${file}`);
+            }
+
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        });
+    }
+
+    /**
+     * @param {Object} scope - Values
+     * @param {string} valuePath - Dotted path, e.g. event.video.url
+     * @returns {*} - The value, or undefined
+     */
+    lookup(scope, valuePath) {
+        return valuePath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), scope);
+    }
+
+    /**
+     * Creates AVIF, WebP and original-format variants of every raster image
+     * at each configured width. Variants are cached by source hash, so only
+     * new or changed images are re-encoded.
+     */
+    async optimizeImages() {
+        console.log('🖼️  Generating responsive image variants...');
+
+        this.images = {};
+        const rasterImages = this.listFiles('images').filter(file => /\.(jpe?g|png)$/i.test(file));
+        fs.mkdirSync(this.imageCacheDir, { recursive: true });
+
+        for (const file of rasterImages) {
+            const key = file.split(path.sep).join('/');
+            try {
+                this.images[key] = await this.generateImageVariants(file);
+            } catch (error) {
+                throw new Error(`Could not process image ${key}: ${error.message}`);
+            }
+            console.log(`  - ${key} (${this.images[key].variants.length} variants)`);
+        }
+    }
+
+    /**
+     * Encodes the variants for one image into the build directory
+     * @param {string} file - Source image path
+     * @returns {Promise<Object>} - { width, height, variants: [{ path, format, width, height }] }
+     */
+    async generateImageVariants(file) {
+        const source = fs.readFileSync(file);
+        const sourceHash = crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+        const metadata = await sharp(source).metadata();
+
+        // EXIF orientation 5-8 means the stored pixels are rotated a quarter turn
+        const rotated = metadata.orientation >= 5;
+        const sourceWidth = rotated ? metadata.height : metadata.width;
+        const sourceHeight = rotated ? metadata.width : metadata.height;
+
+        // Never upscale; small images get a single variant at their own width
+        let widths = this.imageWidths.filter(width => width < sourceWidth);
+        if (widths.length === 0) widths = [sourceWidth];
+
+        const ext = path.extname(file);
+        const originalFormat = ext.toLowerCase() === '.png' ? 'png' : 'jpeg';
+        const formats = [...this.imageFormats, originalFormat];
+        const variants = [];
+
+        for (const width of widths) {
+            const height = Math.round(sourceHeight * width / sourceWidth);
+
+            for (const format of formats) {
+                const variantExt = format === 'jpeg' ? ext : `.${format}`;
+                const variantPath = path.join(path.dirname(file), `${path.basename(file, ext)}-${width}${variantExt}`);
+                const cachePath = path.join(this.imageCacheDir, `${sourceHash}-${width}${variantExt}`);
+
+                if (!fs.existsSync(cachePath)) {
+                    await sharp(source)
+                        .rotate()
+                        .resize({ width })
+                        .toFormat(format, { quality: format === 'avif' ? 55 : 75 })
+                        .toFile(cachePath);
+                }
+
+                const outputPath = path.join(this.buildDir, variantPath);
+                fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+                fs.copyFileSync(cachePath, outputPath);
+
+                variants.push({ path: variantPath.split(path.sep).join('/'), format, width, height });
+            }
+        }
+
+        return { width: sourceWidth, height: sourceHeight, variants };
+    }
+
+    /**
+     * Replaces <img> tags that point at processed images with <picture>
+     * elements offering AVIF/WebP srcsets, keeping the tag's own attributes.
+     * A sizes attribute on the <img> is passed through (defaults to 100vw).
+     * @param {string} html - Page markup
+     * @param {string} page - Page path (for errors)
+     * @returns {string} - Markup with responsive images
+     */
+    rewriteImages(html, page) {
+        return html.replace(/<img\b[^>]*>/gi, tag => {
+            const attributes = this.parseAttributes(tag);
+            const src = attributes.src;
+            if (!src || /^([a-z]+:|\/\/)/i.test(src)) return tag;
+
+            const key = path.posix.normalize(src.replace(/^\//, ''));
+            if (!fs.existsSync(path.join(this.sourceDir, key))) {
+                throw new Error(`Missing image "${src}" referenced in ${page}`);
+            }
+
+            const image = this.images[key];
+            if (!image) return tag;
+
+            const sizes = attributes.sizes || '100vw';
+            const srcset = format => image.variants
+                .filter(variant => variant.format === format)
+                .map(variant => `${variant.path} ${variant.width}w`)
+                .join(', ');
+
+            const fallbackFormat = image.variants[image.variants.length - 1].format;
+            const fallback = image.variants
+                .filter(variant => variant.format === fallbackFormat)
+                .reduce((best, variant) => (
+                    Math.abs(variant.width - this.imageFallbackWidth) < Math.abs(best.width - this.imageFallbackWidth)
+                        ? variant : best
+                ));
+
+            const imgAttributes = {
+                ...attributes,
+                src: fallback.path,
+                srcset: srcset(fallbackFormat),
+                sizes,
+                width: String(fallback.width),
+                height: String(fallback.height)
+            };
+            if (!imgAttributes.decoding) imgAttributes.decoding = 'async';
+
+            const sources = this.imageFormats
+                .map(format => `<source type="image/${format}" srcset="${srcset(format)}" sizes="${sizes}">`)
+                .join('');
+
+            return `<picture>${sources}<img ${this.serializeAttributes(imgAttributes)}></picture>`;
+        });
+    }
+
+    /**
+     * Reads the attributes of a single HTML tag
+     * @param {string} tag - e.g. <img src="a.jpg" alt="A">
+     * @returns {Object} - Attribute values keyed by name (boolean attributes are '')
+     */
+    parseAttributes(tag) {
+        const attributes = {};
+        const attributePattern = /([^\s=<>"'\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+        const body = tag.replace(/^<\w+/, '').replace(/\/?>$/, '');
+
+        for (const [, name, doubleQuoted, singleQuoted, unquoted] of body.matchAll(attributePattern)) {
+            attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? unquoted ?? '';
+        }
+
+        return attributes;
+    }
+
+    /**
+     * @param {Object} attributes - Attribute values keyed by name
+     * @returns {string} - name="value" pairs
+     */
+    serializeAttributes(attributes) {
+        return Object.entries(attributes)
+            .map(([name, value]) => (value === '' ? name : `${name}="${value.replace(/"/g, '&quot;')}"`))
+            .join(' ');
     }
 
     async optimizeCSS() {
         console.log('🎨 Optimizing CSS and combining components...');
         
-        // Combine component CSS files
-        let combinedCSS = '';
-        
-        // Start with global styles
-        if (fs.existsSync('styles/globals.css')) {
-            console.log('  - Adding globals.css');
-            combinedCSS += fs.readFileSync('styles/globals.css', 'utf8') + '\n\n';
-        }
+        fs.mkdirSync(path.join(this.buildDir, 'styles', 'components'), { recursive: true });
         
-        // Add component styles
-        const componentCSS = [
-            'styles/components/slider.css',
-            'styles/components/hero.css',
-            'styles/components/bento.css',
-            'styles/components/footer.css'
-        ];
-        
-        componentCSS.forEach(cssFile => {
+        let combinedCSS = '';
+        for (const cssFile of this.stylesheets) {
             if (fs.existsSync(cssFile)) {
                 console.log(`  - Adding ${cssFile}`);
-                const content = fs.readFileSync(cssFile, 'utf8');
+                const content = this.readStylesheet(cssFile);
                 combinedCSS += `/* ${cssFile} */\n${content}\n\n`;
+                
+                // Pages without critical CSS link the stylesheets individually, so ship them too
+                await this.writeMinifiedCSS(cssFile, content);
             }
-        });
-        
-        // Add legacy main.css and responsive.css if they exist
-        if (fs.existsSync('styles/main.css')) {
-            console.log('  - Adding remaining main.css styles');
-            const mainCSS = fs.readFileSync('styles/main.css', 'utf8');
-            combinedCSS += `/* Legacy main.css */\n${mainCSS}\n\n`;
         }
         
-        if (fs.existsSync('styles/responsive.css')) {
-            console.log('  - Adding remaining responsive.css styles');
-            const responsiveCSS = fs.readFileSync('styles/responsive.css', 'utf8');
-            combinedCSS += `/* Legacy responsive.css */\n${responsiveCSS}\n\n`;
+        // Write the combined CSS file (maps back to the combined source)
+        await this.writeMinifiedCSS('styles/main.css', combinedCSS, 'styles/main.combined.css');
+    }
+
+    /**
+     * Reads a stylesheet with its url() references pointed at built (hashed) images
+     * @param {string} cssFile - Stylesheet path
+     * @returns {string}
+     */
+    readStylesheet(cssFile) {
+        let css = fs.readFileSync(cssFile, 'utf8');
+        if (cssFile === this.themeStylesheet) {
+            css = this.applyTheme(css);
         }
-        
-        // Update background image paths for production
-        combinedCSS = combinedCSS.replace(
-            /url\(['"]?\.\.\/images\/bg-enhanced\.svg['"]?\)/g,
-            'url(\'../images/bg-hero.webp\')'
-        );
-        
-        // Minify combined CSS
-        const minifiedCSS = this.minifyCSS(combinedCSS);
-        
-        // Write the combined CSS file
-        fs.writeFileSync(path.join(this.buildDir, 'styles', 'main.css'), minifiedCSS);
-        
-        // Also write globals.css separately for development
-        if (fs.existsSync('styles/globals.css')) {
-            const globalsCSS = this.minifyCSS(fs.readFileSync('styles/globals.css', 'utf8'));
-            fs.writeFileSync(path.join(this.buildDir, 'styles', 'globals.css'), globalsCSS);
+        return this.rewriteAssetReferences(css, path.dirname(cssFile), cssFile);
+    }
+
+    /**
+     * Appends the event's theme colours as a :root block overriding the defaults
+     * @param {string} css - Theme stylesheet source
+     * @returns {string}
+     */
+    applyTheme(css) {
+        const theme = Object.entries(this.event.theme || {});
+        if (theme.length === 0) return css;
+
+        // Only override variables the stylesheet defines, so a typo can't silently do nothing
+        const unknown = theme.filter(([name]) => !css.includes(`--${name}:`));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown theme colour(s) in ${this.eventsDir}/${this.event.slug}/event.json: ${unknown.map(([name]) => name).join(', ')} (not defined in ${this.themeStylesheet})`);
         }
+
+        const variables = theme.map(([name, value]) => `    --${name}: ${value};`).join('\n');
+        return `${css.trimEnd()}\n\n/* Theme: ${this.event.name} (${this.eventsDir}/${this.event.slug}/event.json) */\n:root {\n${variables}\n}\n`;
     }
 
-    async optimizeJS() {
-        console.log('⚡ Optimizing JavaScript and combining components...');
-        
-        // Copy component JS files to build/js/components
-        if (!fs.existsSync(path.join(this.buildDir, 'js', 'components'))) {
-            fs.mkdirSync(path.join(this.buildDir, 'js', 'components'), { recursive: true });
+    /**
+     * Inlines the CSS the above-the-fold partials need and swaps the page's
+     * blocking stylesheets for an async styles/main.css (with a <noscript>
+     * fallback). Web font stylesheets are loaded the same way.
+     * @param {string} html - Page markup
+     * @param {string} page - Page path
+     * @returns {string}
+     */
+    async inlineCriticalCSS(html, page) {
+        const partials = this.criticalPartials[page];
+        if (!partials) return html;
+
+        const markup = partials.map(partial => fs.readFileSync(path.join(this.sourceDir, partial), 'utf8')).join('\n');
+        const pageDir = path.dirname(page);
+        const css = this.stylesheets
+            .filter(cssFile => fs.existsSync(cssFile))
+            .map(cssFile => this.rebaseUrls(this.readStylesheet(cssFile), path.dirname(cssFile), pageDir))
+            .join('\n');
+
+        const critical = this.extractCriticalCSS(css, this.collectSelectorTokens(markup));
+        const { code } = await esbuild.transform(critical, { loader: 'css', minify: true });
+        console.log(`  - Inlined ${(code.length / 1024).toFixed(1)} KB of critical CSS in ${page}`);
+
+        const combined = path.posix.relative(pageDir, 'styles/main.css');
+        let inserted = false;
+
+        return html.replace(/[ \t]*<link\b[^>]*>\n?/g, tag => {
+            const { rel, href } = this.parseAttributes(tag.trim());
+            if (rel !== 'stylesheet') return tag;
+
+            if (/^https?:\/\//.test(href)) return this.renderAsyncStylesheet(href);
+            if (!this.stylesheets.includes(path.posix.join(pageDir, href))) {
+                throw new Error(`Stylesheet "${href}" in ${page} is not part of styles/main.css`);
+            }
+
+            // The first local stylesheet becomes the critical CSS plus main.css; the rest go
+            if (inserted) return '';
+            inserted = true;
+            return `<style>${code.trim()}</style>${this.renderAsyncStylesheet(combined)}`;
+        });
+    }
+
+    /**
+     * @param {string} href - Stylesheet URL
+     * @returns {string} - Preload that applies itself once loaded, with a no-JS fallback
+     */
+    renderAsyncStylesheet(href) {
+        return `<link rel="preload" href="${href}" as="style" onload="this.onload=null;this.rel='stylesheet'">`
+            + `<noscript><link rel="stylesheet" href="${href}"></noscript>`;
+    }
+
+    /**
+     * Collects the tag names, classes and ids used in a piece of markup
+     * @param {string} markup - HTML
+     * @returns {Object} - { tags, classes, ids } as Sets
+     */
+    collectSelectorTokens(markup) {
+        const tokens = { tags: new Set(['html', 'body']), classes: new Set(), ids: new Set() };
+
+        for (const [, tag] of markup.matchAll(/<([a-z][a-z0-9-]*)/gi)) tokens.tags.add(tag.toLowerCase());
+        for (const [, value] of markup.matchAll(/\sclass="([^"]*)"/g)) {
+            value.split(/\s+/).filter(Boolean).forEach(name => tokens.classes.add(name));
         }
-        
-        // Component JS files
-        const componentJS = [
-            'js/components/slider.js',
-            'js/components/hero.js',
-            'js/components/bento.js',
-            'js/components/footer.js'
-        ];
-        
-        componentJS.forEach(jsFile => {
-            if (fs.existsSync(jsFile)) {
-                console.log(`  - Optimizing ${jsFile}`);
-                let content = fs.readFileSync(jsFile, 'utf8');
-                
-                // Replace development config with production config
-                content = content.replace(
-                    'process.env.ZOHO_ENDPOINT || \'https://api.zoho.com/crm/v2/Leads\'',
-                    '\'https://www.zohoapis.com/crm/v2/Leads\''
-                );
-                
-                const minified = this.minifyJS(content);
-                const outputPath = path.join(this.buildDir, jsFile);
-                fs.writeFileSync(outputPath, minified);
+        for (const [, id] of markup.matchAll(/\sid="([^"]*)"/g)) tokens.ids.add(id);
+
+        return tokens;
+    }
+
+    /**
+     * Keeps the rules whose selectors only name tags, classes and ids present
+     * in the markup, with their @media/@supports wrappers, @font-face rules and
+     * the @keyframes they animate with. State classes added by scripts
+     * (.show, .is-active) are left to styles/main.css.
+     * @param {string} css - Stylesheet source
+     * @param {Object} tokens - From collectSelectorTokens()
+     * @returns {string} - Critical CSS (unminified)
+     */
+    extractCriticalCSS(css, tokens) {
+        const keyframes = [];
+
+        const extract = blocks => blocks.map(({ prelude, body }) => {
+            if (body === null) return '';
+
+            if (/^@(media|supports)\b/i.test(prelude)) {
+                const inner = extract(this.parseCSSBlocks(body));
+                return inner ? `${prelude}{${inner}}` : '';
+            }
+            if (/^@font-face\b/i.test(prelude)) return `${prelude}{${body}}`;
+            if (/^@(-webkit-)?keyframes\b/i.test(prelude)) {
+                keyframes.push({ name: prelude.split(/\s+/)[1], rule: `${prelude}{${body}}` });
+                return '';
+            }
+            if (prelude.startsWith('@')) return '';
+
+            const selectors = prelude.split(',').map(selector => selector.trim())
+                .filter(selector => this.selectorMatches(selector, tokens));
+            return selectors.length > 0 ? `${selectors.join(',')}{${body}}` : '';
+        }).join('');
+
+        const critical = extract(this.parseCSSBlocks(css.replace(/\/\*[\s\S]*?\*\//g, '')));
+        const animations = keyframes
+            .filter(({ name }) => new RegExp(`[\\s:,]${name.replace(/[-]/g, '\\-')}\\b`).test(critical))
+            .map(({ rule }) => rule);
+
+        return critical + animations.join('');
+    }
+
+    /**
+     * @param {string} selector - A single selector (no commas)
+     * @param {Object} tokens - From collectSelectorTokens()
+     * @returns {boolean} - Whether every tag, class and id it names is in the markup
+     */
+    selectorMatches(selector, tokens) {
+        // Pseudo-classes and attribute selectors don't change which elements are named
+        const simplified = selector
+            .replace(/::?[a-z-]+(\((?:[^()]|\([^()]*\))*\))?/gi, '')
+            .replace(/\[[^\]]*\]/g, '');
+
+        const classes = [...simplified.matchAll(/\.([\w-]+)/g)].map(match => match[1]);
+        const ids = [...simplified.matchAll(/#([\w-]+)/g)].map(match => match[1]);
+        const tags = [...simplified.matchAll(/(?:^|[\s>+~])([a-z][\w-]*)/gi)].map(match => match[1].toLowerCase());
+
+        return classes.every(name => tokens.classes.has(name))
+            && ids.every(id => tokens.ids.has(id))
+            && tags.every(tag => tokens.tags.has(tag));
+    }
+
+    /**
+     * Splits CSS into its top-level statements
+     * @param {string} css - Stylesheet source without comments
+     * @returns {Array<Object>} - { prelude, body } per rule; body is null for statements like @import
+     */
+    parseCSSBlocks(css) {
+        const blocks = [];
+        let prelude = '';
+        let depth = 0;
+        let start = 0;
+        let quote = null;
+
+        for (let i = 0; i < css.length; i++) {
+            const char = css[i];
+
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '{') {
+                if (depth === 0) {
+                    prelude = css.slice(start, i).trim();
+                    start = i + 1;
+                }
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    blocks.push({ prelude, body: css.slice(start, i) });
+                    start = i + 1;
+                }
+            } else if (char === ';' && depth === 0) {
+                blocks.push({ prelude: css.slice(start, i).trim(), body: null });
+                start = i + 1;
             }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Re-points relative url()s when CSS moves to another directory
+     * @param {string} css - Stylesheet source
+     * @param {string} fromDir - Directory the CSS was written for
+     * @param {string} toDir - Directory it will be used from
+     * @returns {string}
+     */
+    rebaseUrls(css, fromDir, toDir) {
+        return css.replace(/url\((["']?)([^"')]+)\1\)/g, (match, quote, ref) => {
+            if (/^([a-z]+:|\/|#)/i.test(ref)) return match;
+            const rebased = path.posix.relative(toDir, path.posix.join(fromDir.split(path.sep).join('/'), ref));
+            return `url(${quote}${rebased}${quote})`;
         });
+    }
+
+    /**
+     * Rewrites a page's relative src/href/srcset/url() references for a
+     * page built into another directory (index.html → fr/index.html)
+     * @param {string} html - Page markup
+     * @param {string} fromDir - Directory the references were written for
+     * @param {string} toDir - Directory the page is built into
+     * @returns {string}
+     */
+    rebaseReferences(html, fromDir, toDir) {
+        const from = fromDir.split(path.sep).join('/');
+        const to = toDir.split(path.sep).join('/');
+        if (path.posix.normalize(from) === path.posix.normalize(to)) return html;
+
+        return this.mapReferences(html, reference => {
+            if (/^([a-z]+:|\/|#)/i.test(reference)) return reference;
+
+            const [pathPart, suffix = ''] = reference.split(/(?=[?#])/);
+            const target = path.posix.join(from, pathPart);
+            const rebased = path.posix.relative(to, target) + (pathPart.endsWith('/') ? '/' : '');
+            return (rebased === '/' || rebased === '' ? './' : rebased) + suffix;
+        });
+    }
+
+    /**
+     * Bundles each entry module with everything it imports. Unused exports are
+     * tree-shaken away. Every bundle is built twice: an ES module for current
+     * browsers and an ES2015 script (name.legacy.js) for browsers without
+     * module support.
+     */
+    async optimizeJS() {
+        console.log('⚡ Bundling JavaScript modules...');
         
-        // Optimize validation.js
-        if (fs.existsSync('js/validation.js')) {
-            console.log('  - Optimizing validation.js');
-            let validationJS = fs.readFileSync('js/validation.js', 'utf8');
-            validationJS = this.minifyJS(validationJS);
-            fs.writeFileSync(path.join(this.buildDir, 'js', 'validation.js'), validationJS);
+        for (const [entry, output] of Object.entries(this.scriptBundles)) {
+            if (!fs.existsSync(entry)) continue;
+            
+            console.log(`  - Bundling ${entry} into ${output}`);
+            await this.bundleScript(entry, output, 'esm', 'es2020');
+            await this.bundleScript(entry, this.getLegacyBundle(output), 'iife', 'es2015');
         }
+    }
 
-        // Optimize main.js and inject production config
-        if (fs.existsSync('js/main.js')) {
-            console.log('  - Optimizing main.js');
-            let mainJS = fs.readFileSync('js/main.js', 'utf8');
-            
-            // Replace development config with production config
-            mainJS = mainJS.replace(
-                'process.env.ZOHO_ENDPOINT || \'https://api.zoho.com/crm/v2/Leads\'',
-                '\'https://www.zohoapis.com/crm/v2/Leads\''
-            );
-            
-            mainJS = this.minifyJS(mainJS);
-            fs.writeFileSync(path.join(this.buildDir, 'js', 'main.js'), mainJS);
+    /**
+     * @param {string} entry - Entry module path
+     * @param {string} output - Bundle path relative to the build directory
+     * @param {string} format - 'esm' or 'iife'
+     * @param {string} target - Lowest JavaScript version to emit
+     */
+    async bundleScript(entry, output, format, target) {
+        await esbuild.build({
+            entryPoints: [entry],
+            outfile: path.join(this.buildDir, output),
+            bundle: true,
+            format,
+            target,
+            minify: true,
+            sourcemap: true,
+            legalComments: 'none',
+            logLevel: 'silent'
+        });
+    }
+
+    /**
+     * @param {string} bundle - Bundle path (js/app.js)
+     * @returns {string} - Legacy bundle path (js/app.legacy.js)
+     */
+    getLegacyBundle(bundle) {
+        return bundle.replace(/\.js$/, '.legacy.js');
+    }
+
+    /**
+     * Writes js/config.js, the browser's view of the build configuration.
+     * It is generated into the source tree too, so pages served without a
+     * build still have it (the file is gitignored).
+     */
+    async generateRuntimeConfig() {
+        console.log('⚙️  Generating runtime configuration (js/config.js)...');
+
+        // optimizeJS minifies it into the build with the other scripts
+        fs.writeFileSync(path.join(this.sourceDir, 'js', 'config.js'), this.renderRuntimeConfig());
+    }
+
+    /**
+     * @returns {string} - Source of js/config.js for the loaded configuration
+     */
+    renderRuntimeConfig() {
+        // When the page switches lifecycle phase (js/components/lifecycle.js)
+        const { agendaReleasedAt, startsAt, endsAt } = this.event;
+        const schedule = { agendaReleasedAt, startsAt, endsAt };
+
+        return `/**
+ * myBlueprint Career Launch - Runtime Configuration
+ * Generated by build.js for the "${this.config.environment}" environment and the
+ * "${this.event.slug}" event. Do not edit; change .env or the environment variables
+ * instead (see config/index.js).
+ */
+
+const CAREER_LAUNCH_CONFIG = Object.freeze(${JSON.stringify({ ...this.config, event: this.event.slug, schedule }, null, 4)});
+
+export default CAREER_LAUNCH_CONFIG;
+`;
+    }
+
+    /**
+     * Minifies a stylesheet with esbuild and writes it to the build directory
+     * with an external source map (name.css.map next to name.css). esbuild
+     * tokenizes the input, so strings, calc() and content values come
+     * through intact.
+     * @param {string} file - Output path relative to the build directory
+     * @param {string} css - Unminified stylesheet
+     * @param {string} sourcefile - Source path the map reports (defaults to file)
+     */
+    async writeMinifiedCSS(file, css, sourcefile = file) {
+        const result = await esbuild.transform(css, {
+            loader: 'css',
+            minify: true,
+            sourcemap: 'external',
+            // Relative to the map, so /styles/components/hero.css.map lists hero.css
+            sourcefile: path.relative(path.dirname(file), sourcefile).split(path.sep).join('/'),
+            sourcesContent: true,
+            legalComments: 'none'
+        });
+
+        const outputPath = path.join(this.buildDir, file);
+        const mapName = `${path.basename(file)}.map`;
+
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, `${result.code.trimEnd()}\n/*# sourceMappingURL=${mapName} */\n`);
+        fs.writeFileSync(`${outputPath}.map`, result.map);
+    }
+
+    /**
+     * Renames built assets in the given directories to name.<hash>.ext and
+     * records them in the manifest. Source maps follow their file.
+     * @param {Array<string>} dirs - Directories inside the build directory
+     */
+    async hashAssets(dirs) {
+        console.log(`🔖 Fingerprinting ${dirs.join(', ')}...`);
+
+        dirs.flatMap(dir => this.listFiles(path.join(this.buildDir, dir)))
+            .filter(file => !file.endsWith('.map'))
+            .forEach(file => this.hashFile(file));
+    }
+
+    async writeAssetManifest() {
+        fs.writeFileSync(
+            path.join(this.buildDir, 'asset-manifest.json'),
+            JSON.stringify(this.manifest, null, 2)
+        );
+        console.log(`  - ${Object.keys(this.manifest).length} assets written to asset-manifest.json`);
+    }
+
+    /**
+     * Renames one built file to include a hash of its contents
+     * @param {string} file - Path inside the build directory
+     */
+    hashFile(file) {
+        const hash = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 8);
+        const ext = path.extname(file);
+        const hashedFile = path.join(path.dirname(file), `${path.basename(file, ext)}.${hash}${ext}`);
+
+        fs.renameSync(file, hashedFile);
+
+        // Keep the source map beside its file and point the file at the new map name
+        if (fs.existsSync(`${file}.map`)) {
+            const mapName = path.basename(`${file}.map`);
+            const hashedMapName = `${path.basename(hashedFile)}.map`;
+            fs.renameSync(`${file}.map`, `${hashedFile}.map`);
+            fs.writeFileSync(hashedFile, fs.readFileSync(hashedFile, 'utf8').replace(
+                `sourceMappingURL=${mapName}`,
+                `sourceMappingURL=${hashedMapName}`
+            ));
         }
+
+        const toUrlPath = filePath => path.relative(this.buildDir, filePath).split(path.sep).join('/');
+        this.manifest[toUrlPath(file)] = toUrlPath(hashedFile);
     }
 
-    minifyCSS(css) {
-        return css
-            // Remove comments
-            .replace(/\/\*[\s\S]*?\*\//g, '')
-            // Remove unnecessary whitespace
-            .replace(/\s+/g, ' ')
-            // Remove spaces around certain characters
-            .replace(/\s*{\s*/g, '{')
-            .replace(/\s*}\s*/g, '}')
-            .replace(/\s*:\s*/g, ':')
-            .replace(/\s*;\s*/g, ';')
-            .replace(/\s*,\s*/g, ',')
-            // Remove trailing semicolons before }
-            .replace(/;}/g, '}')
-            .trim();
+    /**
+     * Rewrites src/href/url() references that point at hashed assets
+     * @param {string} source - HTML or CSS
+     * @param {string} baseDir - Directory the source lives in, relative to the build root
+     * @param {string} file - File being rewritten (for errors)
+     * @returns {string} - Source with hashed references
+     */
+    rewriteAssetReferences(source, baseDir, file) {
+        return this.mapReferences(source, reference => {
+            // Leave absolute URLs, data URIs and anchors alone
+            if (/^([a-z]+:|\/\/|#)/i.test(reference)) return reference;
+
+            const [pathPart, suffix = ''] = reference.split(/(?=[?#])/);
+            const key = path.posix.normalize(path.posix.join(baseDir.split(path.sep).join('/'), pathPart));
+            const assetPath = key.replace(/^\//, '');
+            const hashed = this.manifest[assetPath];
+            if (!hashed) {
+                // Fingerprinted builds list every image in the manifest; unhashed ones are on disk
+                if (assetPath.startsWith('images/') && !fs.existsSync(path.join(this.buildDir, assetPath))) {
+                    throw new Error(`Missing image "${reference}" referenced in ${file}`);
+                }
+                return reference;
+            }
+
+            const relative = path.posix.relative(baseDir.split(path.sep).join('/') || '.', hashed);
+            return (pathPart.startsWith('/') ? `/${hashed}` : relative) + suffix;
+        });
     }
 
-    minifyJS(js) {
-        return js
-            // Remove single-line comments (but preserve URLs)
-            .replace(/\/\/(?![^\n]*:\/\/).*$/gm, '')
-            // Remove multi-line comments
-            .replace(/\/\*[\s\S]*?\*\//g, '')
-            // Remove unnecessary whitespace (basic)
-            .replace(/\s+/g, ' ')
-            .trim();
+    /**
+     * Passes every src, href, srcset candidate and url() in HTML or CSS
+     * through a function
+     * @param {string} source - HTML or CSS
+     * @param {Function} resolve - Maps a reference to its replacement
+     * @returns {string}
+     */
+    mapReferences(source, resolve) {
+        return source
+            .replace(/\b(src|href)=(["'])([^"']+)\2/g, (match, attr, quote, ref) => `${attr}=${quote}${resolve(ref)}${quote}`)
+            .replace(/\bsrcset=(["'])([^"']+)\1/g, (match, quote, value) => {
+                const candidates = value.split(',').map(candidate => {
+                    const [ref, ...descriptor] = candidate.trim().split(/\s+/);
+                    return [resolve(ref), ...descriptor].join(' ');
+                });
+                return `srcset=${quote}${candidates.join(', ')}${quote}`;
+            })
+            // Comments are matched first so commented-out url()s are left alone
+            .replace(/\/\*[\s\S]*?\*\/|url\((["']?)([^"')]+)\1\)/g, (match, quote, ref) => (
+                match.startsWith('/*') ? match : `url(${quote}${resolve(ref)}${quote})`
+            ));
+    }
+
+    /**
+     * Lists every file under a directory, recursively
+     * @param {string} dir - Directory to walk
+     * @returns {Array<string>} - File paths
+     */
+    listFiles(dir) {
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir).flatMap(item => {
+            const itemPath = path.join(dir, item);
+            return fs.statSync(itemPath).isDirectory() ? this.listFiles(itemPath) : [itemPath];
+        });
     }
 
     async generateProductionConfig() {
@@ -303,15 +1222,25 @@ class BuildOptimizer {
             version: '1.0.0',
             build: {
                 timestamp: new Date().toISOString(),
-                environment: 'production'
+                environment: this.config.environment
+            },
+            event: {
+                slug: this.event.slug,
+                name: this.event.name,
+                start_date: this.event.startDate,
+                phase: new this.EventLifecycle(this.event).getPhase(),
+                lead_sources: Object.fromEntries(
+                    Object.entries(this.event.phases).map(([phase, { leadSource }]) => [phase, leadSource])
+                )
             },
+            locales: this.locales,
             performance: {
                 target_load_time: '2000ms',
                 target_conversion: '25%'
             },
             integrations: {
                 zoho_crm: true,
-                analytics: false
+                analytics: !!this.config.gaTrackingId
             }
         };
 
@@ -324,7 +1253,15 @@ class BuildOptimizer {
 
 // Run build if called directly
 if (require.main === module) {
-    const builder = new BuildOptimizer();
+    // node build.js --env=production (defaults to APP_ENV, then VERCEL_ENV, then development)
+    // node build.js --event=career-launch,spring-expo (defaults to every event in events/)
+    const args = process.argv.slice(2);
+    const envArg = args.find(arg => arg.startsWith('--env='));
+    const eventArg = args.find(arg => arg.startsWith('--event='));
+    const builder = new BuildOptimizer({
+        environment: envArg ? envArg.slice('--env='.length) : undefined,
+        events: eventArg ? eventArg.slice('--event='.length).split(',') : undefined
+    });
     builder.build();
 }
 
@@ -0,0 +1,178 @@
+/**
+ * myBlueprint Career Launch - Event Definitions
+ * Each event lives in events/<slug>/event.json: its name, date and start
+ * time (startsAt, with its UTC offset, shown in timeZone), theme
+ * colours, portraits, video, and the times that move it through its
+ * lifecycle phases (agendaReleasedAt, startsAt, endsAt) with the Zoho
+ * Lead_Source and Description for signups in each. The build makes one site
+ * per event (dist/<slug>/) and the /api routes look events up by slug.
+ * "translations": { "fr": { ... } } overrides any of those for a locale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EVENTS_DIR = 'events';
+
+// Used when a request or an older confirmation token doesn't name an event
+const DEFAULT_EVENT = 'career-launch';
+
+const REQUIRED_FIELDS = ['name', 'startDate', 'agendaReleasedAt', 'startsAt', 'endsAt', 'timeZone', 'startTimeLabel', 'dateLabel', 'shortDateLabel', 'contactEmail', 'phases', 'details', 'video', 'portraits'];
+
+// The phases js/lifecycle.js moves an event through; "phases" needs an entry for each
+const EVENT_PHASES = ['pre-agenda', 'agenda', 'live', 'on-demand'];
+
+/**
+ * @param {string} value - Candidate time
+ * @returns {boolean} - Whether it is an ISO 8601 date and time with a UTC offset
+ */
+function isTimestamp(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?([+-]\d{2}:\d{2}|Z)$/.test(value);
+}
+
+/**
+ * @param {string} slug - Candidate event slug
+ * @returns {boolean} - Whether it is safe to use as a directory name
+ */
+function isValidSlug(slug) {
+    return typeof slug === 'string' && /^[a-z0-9][a-z0-9-]*$/.test(slug);
+}
+
+/**
+ * Checks an event definition, throwing on the first problem
+ * @param {Object} event - Parsed event.json
+ * @param {string} file - Path (for errors)
+ */
+function validateEvent(event, file) {
+    const missing = REQUIRED_FIELDS.filter(key => event[key] === undefined || event[key] === '');
+    if (missing.length > 0) {
+        throw new Error(`Missing field(s) in ${file}: ${missing.join(', ')}`);
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(event.startDate)) {
+        throw new Error(`${file} startDate must be YYYY-MM-DD (got "${event.startDate}")`);
+    }
+
+    // The offset makes the instant unambiguous; the countdown reads it in every browser
+    if (!isTimestamp(event.startsAt) || !event.startsAt.startsWith(event.startDate)) {
+        throw new Error(`${file} startsAt must be the start on startDate with its UTC offset, e.g. ${event.startDate}T09:00:00-05:00 (got "${event.startsAt}")`);
+    }
+
+    ['agendaReleasedAt', 'endsAt'].forEach(key => {
+        if (!isTimestamp(event[key])) {
+            throw new Error(`${file} ${key} must be a date and time with its UTC offset, e.g. 2025-11-12T09:00:00-05:00 (got "${event[key]}")`);
+        }
+    });
+
+    const agendaReleasedAt = new Date(event.agendaReleasedAt);
+    const startsAt = new Date(event.startsAt);
+    if (agendaReleasedAt > startsAt || startsAt >= new Date(event.endsAt)) {
+        throw new Error(`${file} needs agendaReleasedAt <= startsAt < endsAt`);
+    }
+
+    const phases = event.phases || {};
+    const incomplete = EVENT_PHASES.filter(phase => !phases[phase] || !phases[phase].leadSource || !phases[phase].description);
+    if (incomplete.length > 0) {
+        throw new Error(`${file} phases needs a leadSource and description for: ${incomplete.join(', ')}`);
+    }
+
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: event.timeZone });
+    } catch (error) {
+        throw new Error(`${file} timeZone must be an IANA time zone such as America/Toronto (got "${event.timeZone}")`);
+    }
+
+    if (!Array.isArray(event.portraits) || event.portraits.some(portrait => !portrait.src || !portrait.alt)) {
+        throw new Error(`${file} portraits must be a list of { src, alt }`);
+    }
+
+    if (event.translations !== undefined && (typeof event.translations !== 'object' || Array.isArray(event.translations))) {
+        throw new Error(`${file} translations must map locales to overrides, e.g. { "fr": { "dateLabel": "..." } }`);
+    }
+
+    Object.entries(event.theme || {}).forEach(([name, value]) => {
+        if (!/^[a-z0-9-]+$/.test(name) || !/^[^;{}<>]+$/.test(String(value))) {
+            throw new Error(`${file} has an invalid theme value: ${name}: ${value}`);
+        }
+    });
+}
+
+/**
+ * Loads one event
+ * @param {string} slug - Event slug (directory name under events/)
+ * @param {string} rootDir - Project root
+ * @returns {Object|null} - Event with its slug and year, or null if there is no such event
+ */
+function loadEvent(slug, rootDir = path.join(__dirname, '..')) {
+    if (!isValidSlug(slug)) return null;
+
+    const file = path.join(rootDir, EVENTS_DIR, slug, 'event.json');
+    if (!fs.existsSync(file)) return null;
+
+    const event = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validateEvent(event, path.relative(rootDir, file));
+
+    return { ...event, slug, year: event.startDate.slice(0, 4) };
+}
+
+/**
+ * Merges overrides into a value. Lists merge item by item, so a translation
+ * can give only the alt text of each portrait.
+ * @param {*} base - Original value
+ * @param {*} overrides - Values to apply
+ * @returns {*}
+ */
+function mergeOverrides(base, overrides) {
+    if (Array.isArray(base) && Array.isArray(overrides)) {
+        return base.map((item, i) => (i < overrides.length ? mergeOverrides(item, overrides[i]) : item));
+    }
+    if (base && overrides && typeof base === 'object' && typeof overrides === 'object') {
+        const merged = { ...base };
+        Object.entries(overrides).forEach(([key, value]) => {
+            merged[key] = mergeOverrides(base[key], value);
+        });
+        return merged;
+    }
+    return overrides === undefined ? base : overrides;
+}
+
+/**
+ * An event as shown in one language: its translations for that locale
+ * applied, falling back to the untranslated value
+ * @param {Object} event - Event from loadEvent()
+ * @param {string} locale - Locale code
+ * @returns {Object}
+ */
+function localizeEvent(event, locale) {
+    const overrides = (event.translations || {})[locale];
+    return overrides ? mergeOverrides(event, overrides) : event;
+}
+
+/**
+ * Loads every event under events/, sorted by slug
+ * @param {string} rootDir - Project root
+ * @returns {Array<Object>}
+ */
+function listEvents(rootDir = path.join(__dirname, '..')) {
+    const dir = path.join(rootDir, EVENTS_DIR);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(slug => fs.existsSync(path.join(dir, slug, 'event.json')))
+        .sort()
+        .map(slug => {
+            if (!isValidSlug(slug)) {
+                throw new Error(`Event directory "${slug}" must be lowercase letters, digits and hyphens`);
+            }
+            return loadEvent(slug, rootDir);
+        });
+}
+
+module.exports = {
+    DEFAULT_EVENT,
+    EVENTS_DIR,
+    EVENT_PHASES,
+    listEvents,
+    loadEvent,
+    localizeEvent
+};
@@ -0,0 +1,232 @@
+/**
+ * myBlueprint Career Launch - Build Configuration
+ * Resolves the browser-safe settings for an environment (development,
+ * preview, production) from .env files and environment variables.
+ * Only the keys listed in PUBLIC_SETTINGS ever reach js/config.js, so
+ * server secrets in the same .env file stay on the server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ENVIRONMENTS = ['development', 'preview', 'production'];
+
+// Browser-visible settings: config key, source variable, type and which environments require it
+const PUBLIC_SETTINGS = [
+    { key: 'signupEndpoint', env: 'SIGNUP_ENDPOINT', type: 'string', required: ENVIRONMENTS },
+    { key: 'confirmEndpoint', env: 'CONFIRM_ENDPOINT', type: 'string', required: ENVIRONMENTS },
+    { key: 'siteUrl', env: 'SITE_URL', type: 'url', required: ['production'] },
+    { key: 'formTimeout', env: 'FORM_TIMEOUT', type: 'number' },
+    { key: 'maxRetries', env: 'MAX_RETRIES', type: 'number' },
+    { key: 'gaTrackingId', env: 'GA_TRACKING_ID', type: 'string' },
+    { key: 'enablePerformanceTracking', env: 'ENABLE_PERFORMANCE_TRACKING', type: 'boolean' },
+    // FormValidator's disposable and role-address policies; unset keeps its defaults
+    { key: 'disposableEmailPolicy', env: 'DISPOSABLE_EMAIL_POLICY', type: 'policy' },
+    { key: 'roleEmailPolicy', env: 'ROLE_EMAIL_POLICY', type: 'policy' }
+];
+
+const EMAIL_POLICIES = ['block', 'warn', 'allow'];
+
+// Per-environment defaults, overridden by .env files and then by real environment variables
+const DEFAULTS = {
+    development: {
+        SIGNUP_ENDPOINT: '/api/subscribe',
+        CONFIRM_ENDPOINT: '/api/confirm',
+        SITE_URL: 'http://localhost:3000',
+        FORM_TIMEOUT: '10000',
+        MAX_RETRIES: '3',
+        ENABLE_PERFORMANCE_TRACKING: 'true'
+    },
+    preview: {
+        SIGNUP_ENDPOINT: '/api/subscribe',
+        CONFIRM_ENDPOINT: '/api/confirm',
+        FORM_TIMEOUT: '10000',
+        MAX_RETRIES: '3',
+        ENABLE_PERFORMANCE_TRACKING: 'true'
+    },
+    production: {
+        SIGNUP_ENDPOINT: '/api/subscribe',
+        CONFIRM_ENDPOINT: '/api/confirm',
+        FORM_TIMEOUT: '10000',
+        MAX_RETRIES: '3',
+        ENABLE_PERFORMANCE_TRACKING: 'false'
+    }
+};
+
+/**
+ * Works out which environment is being built
+ * @param {string} requested - Explicit environment (e.g. from --env)
+ * @param {Object} env - Environment variables
+ * @returns {string} - development, preview or production
+ */
+function resolveEnvironment(requested, env = process.env) {
+    const environment = requested || env.APP_ENV || env.VERCEL_ENV || 'development';
+
+    if (!ENVIRONMENTS.includes(environment)) {
+        throw new Error(`Unknown environment "${environment}" (expected ${ENVIRONMENTS.join(', ')})`);
+    }
+
+    return environment;
+}
+
+/**
+ * Parses a .env file (KEY=value, # comments, optional quotes and "export")
+ * @param {string} source - File contents
+ * @returns {Object} - Variables keyed by name
+ */
+function parseEnvFile(source) {
+    const values = {};
+
+    source.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+        if (!match) return;
+
+        let value = match[2];
+        const quote = value[0];
+        const closingQuote = (quote === '"' || quote === '\'') ? value.indexOf(quote, 1) : -1;
+        if (closingQuote > 0) {
+            value = value.slice(1, closingQuote);
+            if (quote === '"') value = value.replace(/\\n/g, '\n');
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+
+        values[match[1]] = value;
+    });
+
+    return values;
+}
+
+/**
+ * Reads .env, .env.local, .env.<environment> and .env.<environment>.local,
+ * later files taking precedence
+ * @param {string} environment - Environment name
+ * @param {string} rootDir - Directory holding the .env files
+ * @returns {Object} - Merged variables
+ */
+function loadEnvFiles(environment, rootDir) {
+    const files = ['.env', '.env.local', `.env.${environment}`, `.env.${environment}.local`];
+
+    return files.reduce((values, file) => {
+        const filePath = path.join(rootDir, file);
+        if (!fs.existsSync(filePath)) return values;
+        return { ...values, ...parseEnvFile(fs.readFileSync(filePath, 'utf8')) };
+    }, {});
+}
+
+/**
+ * Converts a raw string setting to its declared type
+ * @param {Object} setting - Entry from PUBLIC_SETTINGS
+ * @param {string} raw - Raw value
+ * @returns {*} - Typed value
+ */
+function coerce(setting, raw) {
+    switch (setting.type) {
+        case 'number': {
+            const value = Number(raw);
+            if (!Number.isFinite(value)) {
+                throw new Error(`${setting.env} must be a number (got "${raw}")`);
+            }
+            return value;
+        }
+        case 'boolean':
+            return ['true', '1', 'yes'].includes(raw.toLowerCase());
+        case 'policy':
+            if (!EMAIL_POLICIES.includes(raw)) {
+                throw new Error(`${setting.env} must be ${EMAIL_POLICIES.join(', ')} (got "${raw}")`);
+            }
+            return raw;
+        case 'url':
+            try {
+                return new URL(raw).href.replace(/\/$/, '');
+            } catch (error) {
+                throw new Error(`${setting.env} must be an absolute URL (got "${raw}")`);
+            }
+        default:
+            return raw;
+    }
+}
+
+/**
+ * Merges the per-environment defaults, .env files and environment variables
+ * @param {Object} options - { environment, env, rootDir }
+ * @returns {Object} - { environment, values } with values keyed by variable name
+ */
+function resolveValues(options = {}) {
+    const env = options.env || process.env;
+    const rootDir = options.rootDir || process.cwd();
+    const environment = resolveEnvironment(options.environment, env);
+
+    const values = {
+        ...DEFAULTS[environment],
+        ...loadEnvFiles(environment, rootDir),
+        ...env
+    };
+
+    // Vercel preview deployments get a unique URL per build
+    if (environment === 'preview' && !values.SITE_URL && env.VERCEL_URL) {
+        values.SITE_URL = `https://${env.VERCEL_URL}`;
+    }
+
+    return { environment, values };
+}
+
+/**
+ * @param {Object} setting - Entry from PUBLIC_SETTINGS
+ * @param {Object} values - Resolved variables
+ * @returns {*} - Typed value, or null when unset
+ */
+function readSetting(setting, values) {
+    const raw = typeof values[setting.env] === 'string' ? values[setting.env].trim() : '';
+    return raw ? coerce(setting, raw) : null;
+}
+
+/**
+ * Builds the public configuration for an environment
+ * @param {Object} options - { environment, env, rootDir }
+ * @returns {Object} - Frozen config, e.g. { environment, signupEndpoint, formTimeout, ... }
+ */
+function loadConfig(options = {}) {
+    const { environment, values } = resolveValues(options);
+    const config = { environment };
+    const missing = [];
+
+    PUBLIC_SETTINGS.forEach(setting => {
+        config[setting.key] = readSetting(setting, values);
+
+        if (config[setting.key] === null && setting.required && setting.required.includes(environment)) {
+            missing.push(setting.env);
+        }
+    });
+
+    if (missing.length > 0) {
+        throw new Error(`Missing required ${environment} setting(s): ${missing.join(', ')}`);
+    }
+
+    return Object.freeze(config);
+}
+
+/**
+ * The email policies js/config.js gives the page, for /api/subscribe to
+ * enforce too; without the checks on settings only the build needs
+ * @param {Object} options - { environment, env, rootDir }
+ * @returns {Object} - { disposable, role }, null where unset
+ */
+function loadEmailPolicies(options = {}) {
+    const { values } = resolveValues(options);
+    const setting = key => readSetting(PUBLIC_SETTINGS.find(entry => entry.key === key), values);
+
+    return {
+        disposable: setting('disposableEmailPolicy'),
+        role: setting('roleEmailPolicy')
+    };
+}
+
+module.exports = {
+    ENVIRONMENTS,
+    PUBLIC_SETTINGS,
+    loadConfig,
+    loadEmailPolicies,
+    parseEnvFile,
+    resolveEnvironment
+};
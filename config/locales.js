@@ -0,0 +1,104 @@
+/**
+ * myBlueprint Career Launch - Page Copy Catalogs
+ * locales/<locale>.json holds the copy that never runs in the browser: the
+ * page text build.js renders ({{ t.footer.contact }}) and the confirmation
+ * email. Strings the scripts show are in js/i18n/<locale>.js. English is
+ * built at the site root and every other locale under /<locale>/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = 'locales';
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * @param {string} locale - Candidate locale code
+ * @returns {boolean} - Whether it is a two-letter code safe to use as a path
+ */
+function isValidLocale(locale) {
+    return typeof locale === 'string' && /^[a-z]{2}$/.test(locale);
+}
+
+/**
+ * Loads one locale's copy
+ * @param {string} locale - Locale code, e.g. "fr"
+ * @param {string} rootDir - Project root
+ * @returns {Object|null} - Parsed catalog, or null if there is no such locale
+ */
+function loadLocale(locale, rootDir = path.join(__dirname, '..')) {
+    if (!isValidLocale(locale)) return null;
+
+    const file = path.join(rootDir, LOCALES_DIR, `${locale}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    const messages = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!messages.language) {
+        throw new Error(`Missing field in ${path.relative(rootDir, file)}: language`);
+    }
+
+    return messages;
+}
+
+/**
+ * Every locale under locales/, the default first
+ * @param {string} rootDir - Project root
+ * @returns {Array<string>} - Locale codes
+ */
+function listLocales(rootDir = path.join(__dirname, '..')) {
+    const dir = path.join(rootDir, LOCALES_DIR);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .sort((a, b) => (a === DEFAULT_LOCALE ? -1 : b === DEFAULT_LOCALE ? 1 : a.localeCompare(b)));
+}
+
+/**
+ * @param {string} locale - Locale code
+ * @returns {string} - Path prefix of that locale's pages: "" for English, "fr/" for French
+ */
+function getLocalePrefix(locale) {
+    return locale === DEFAULT_LOCALE ? '' : `${locale}/`;
+}
+
+/**
+ * Fills {{ event.name }}-style placeholders in a message (unescaped; pages
+ * escape the finished string when they insert it)
+ * @param {string} message - Message with placeholders
+ * @param {Object} scope - Values placeholders can refer to
+ * @returns {string}
+ */
+function renderMessage(message, scope) {
+    return message.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, valuePath) => {
+        const value = valuePath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), scope);
+        if (value === undefined || value === null || typeof value === 'object') {
+            throw new Error(`Unknown value ${placeholder} in message "${message}"`);
+        }
+        return String(value);
+    });
+}
+
+/**
+ * renderMessage() over every string in a catalog or section
+ * @param {Object} messages - Nested messages
+ * @param {Object} scope - Values placeholders can refer to
+ * @returns {Object} - Same shape, placeholders filled in
+ */
+function renderMessages(messages, scope) {
+    return Object.fromEntries(Object.entries(messages).map(([key, value]) => [
+        key,
+        typeof value === 'string' ? renderMessage(value, scope) : renderMessages(value, scope)
+    ]));
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES_DIR,
+    getLocalePrefix,
+    listLocales,
+    loadLocale,
+    renderMessage,
+    renderMessages
+};
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+
+/**
+ * myBlueprint Career Launch - Development Server
+ * Serves the site with live reload. Two modes:
+ *   node dev-server.js           rebuilds dist/ as files change and serves every event's site
+ *   node dev-server.js --source  serves the source tree, assembling includes per request
+ *                                for one event (--event=<slug>, defaults to the first)
+ * Stylesheet edits are hot-swapped in place; anything else reloads the page.
+ * /api/* requests run the serverless functions in api/ directly.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const BuildOptimizer = require('./build.js');
+const { DEFAULT_LOCALE } = require('./config/locales.js');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+};
+
+// Injected into every HTML page: listens for change events from the server
+const CLIENT_SCRIPT = `(() => {
+    const events = new EventSource('/__dev/events');
+
+    events.addEventListener('css', event => {
+        const changed = JSON.parse(event.data);
+        document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+            const url = new URL(link.href);
+            if (url.origin !== location.origin || !changed.includes(url.pathname.slice(1))) return;
+
+            // Load the new sheet before dropping the old one so the page never flashes unstyled
+            const fresh = link.cloneNode();
+            url.searchParams.set('t', Date.now());
+            fresh.href = url.href;
+            fresh.onload = () => link.remove();
+            link.after(fresh);
+        });
+        console.log('Dev Server: Updated', changed.join(', '));
+    });
+
+    events.addEventListener('reload', () => location.reload());
+    events.addEventListener('build-error', event => console.error('Dev Server: Build failed:', JSON.parse(event.data)));
+})();`;
+
+class DevServer {
+    constructor(options = {}) {
+        this.port = options.port || 3000;
+        this.mode = options.mode || 'dist';
+        this.rootDir = process.cwd();
+        this.watchDirs = ['components', 'styles', 'js', 'images', 'fonts', 'api', 'events', 'locales'];
+        this.clients = new Set();
+        this.pendingChanges = new Set();
+        this.debounceTimer = null;
+        this.isRebuilding = false;
+        this.watchers = [];
+
+        this.builder = new BuildOptimizer({ environment: 'development', fingerprint: false, events: options.events });
+        this.serveDir = this.mode === 'source' ? this.rootDir : path.join(this.rootDir, this.builder.outputDir);
+    }
+
+    async start() {
+        if (this.mode === 'source') {
+            this.builder.loadConfig();
+            this.builder.loadEvents();
+            this.builder.loadLocales();
+            await this.builder.loadLifecycle();
+            await this.builder.loadCatalogs();
+            this.writeSourceConfig();
+        } else {
+            await this.builder.run();
+        }
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.listen(this.port, 'localhost', () => {
+            console.log(`\n🛠️  Dev server (${this.mode}) running at http://localhost:${this.port}`);
+        });
+
+        this.watch();
+    }
+
+    /**
+     * Source mode has no build step, so js/config.js is written directly
+     */
+    writeSourceConfig() {
+        fs.writeFileSync(path.join(this.rootDir, 'js', 'config.js'), this.builder.renderRuntimeConfig());
+    }
+
+    watch() {
+        this.watchDirs
+            .filter(dir => fs.existsSync(dir))
+            .forEach(dir => {
+                const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+                    if (filename) this.queueChange(path.join(dir, filename.toString()).split(path.sep).join('/'));
+                });
+                this.watchers.push(watcher);
+            });
+
+        // Top-level files are watched through their directory: editors that save by
+        // replacing the file would otherwise leave a watcher on the old one
+        const rootFiles = [...this.builder.pages, '.env', '.env.local', '.env.development', '.env.development.local'];
+        const rootWatcher = fs.watch(this.rootDir, (eventType, filename) => {
+            if (filename && rootFiles.includes(filename.toString())) this.queueChange(filename.toString());
+        });
+        this.watchers.push(rootWatcher);
+    }
+
+    /**
+     * Collects changes for a moment so an editor's save-all triggers one rebuild
+     * @param {string} file - Changed path, relative to the project root
+     */
+    queueChange(file) {
+        // Ignore editor swap files and the config file we generate ourselves
+        if (/(~|\.swp|\.tmp)$/.test(file) || file === 'js/config.js') return;
+
+        this.pendingChanges.add(file);
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.applyChanges(), 100);
+    }
+
+    async applyChanges() {
+        if (this.isRebuilding) {
+            this.debounceTimer = setTimeout(() => this.applyChanges(), 100);
+            return;
+        }
+
+        const changes = [...this.pendingChanges];
+        this.pendingChanges.clear();
+        this.isRebuilding = true;
+
+        try {
+            const onlyStyles = changes.every(file => file.startsWith('styles/'));
+            await this.rebuild(changes);
+
+            if (onlyStyles) {
+                this.broadcast('css', this.changedStylesheets(changes));
+            } else {
+                this.broadcast('reload', changes);
+            }
+            console.log(`🔁 ${changes.join(', ')}`);
+        } catch (error) {
+            console.error('❌ Rebuild failed:', error.message);
+            this.broadcast('build-error', error.message);
+        } finally {
+            this.isRebuilding = false;
+        }
+    }
+
+    /**
+     * Reruns only the build steps affected by the changed files
+     * @param {Array<string>} changes - Changed paths
+     */
+    async rebuild(changes) {
+        const touches = prefix => changes.some(file => file.startsWith(prefix));
+
+        // Serverless functions are required fresh on the next request (the ES
+        // modules they import from js/ stay cached until the server restarts)
+        if (touches('api/')) {
+            this.clearRequireCache(['api']);
+        }
+
+        const configChanged = touches('.env');
+        if (configChanged) {
+            this.builder.loadConfig();
+            if (this.mode === 'source') this.writeSourceConfig();
+        }
+
+        // Events can change anything from the theme to which sites exist, so
+        // dist gets a full rebuild (the API reads event.json on every request)
+        if (touches('events/')) {
+            if (this.mode === 'source') {
+                this.builder.loadEvents();
+                this.writeSourceConfig();
+            } else {
+                await this.builder.run();
+            }
+            return;
+        }
+
+        if (touches('locales/')) this.builder.loadLocales();
+
+        if (this.mode === 'source') return;
+
+        await this.builder.forEachSite(async () => {
+            if (configChanged) await this.builder.generateRuntimeConfig();
+            if (touches('images/')) {
+                this.builder.copyDirectory('images', path.join(this.builder.buildDir, 'images'));
+                await this.builder.optimizeImages();
+            }
+            // The fonts are subset to the characters the pages use, copy included
+            if (touches('fonts/') || touches('locales/')) await this.builder.optimizeFonts();
+            if (touches('styles/')) {
+                await this.builder.optimizeCSS();
+                // Pages inline their critical CSS, so they are rebuilt for the next load too
+                await this.builder.optimizeHTML();
+            }
+            if (touches('js/') || configChanged) await this.builder.optimizeJS();
+            if (touches('components/') || touches('images/') || touches('locales/') || changes.some(file => file.endsWith('.html'))) {
+                await this.builder.optimizeHTML();
+            }
+        });
+    }
+
+    /**
+     * Stylesheet URLs to hot-swap; the dist build also folds every sheet into
+     * styles/main.css, once per event site
+     * @param {Array<string>} changes - Changed paths under styles/
+     * @returns {Array<string>}
+     */
+    changedStylesheets(changes) {
+        if (this.mode === 'source') return changes;
+
+        const sheets = [...changes, 'styles/main.css'];
+        return this.builder.events.flatMap(event => sheets.map(sheet => `${event.slug}/${sheet}`));
+    }
+
+    /**
+     * @param {Array<string>} targets - Directories or files, relative to the project root
+     */
+    clearRequireCache(targets) {
+        const roots = targets.map(target => path.join(this.rootDir, target));
+        Object.keys(require.cache)
+            .filter(file => roots.some(root => file === root || file.startsWith(root + path.sep)))
+            .forEach(file => delete require.cache[file]);
+    }
+
+    broadcast(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        this.clients.forEach(client => client.write(message));
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://localhost:${this.port}`);
+
+        try {
+            if (url.pathname === '/__dev/events') return this.openEventStream(req, res);
+            if (url.pathname === '/__dev/client.js') return this.send(res, 200, CLIENT_SCRIPT, '.js');
+            if (url.pathname.startsWith('/api/')) return await this.handleApi(req, res, url);
+
+            // dist/ holds one site per event; send the bare root to the first, as vercel.json does
+            if (url.pathname === '/' && this.mode !== 'source') {
+                return this.redirect(res, 302, `/${this.builder.events[0].slug}/`);
+            }
+
+            return await this.serveFile(res, url.pathname);
+        } catch (error) {
+            console.error(`Dev Server: ${req.method} ${url.pathname} failed:`, error.message);
+            this.send(res, 500, `<pre>${error.message}</pre>`, '.html');
+        }
+    }
+
+    openEventStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        this.clients.add(res);
+        req.on('close', () => this.clients.delete(res));
+    }
+
+    /**
+     * Runs api/<name>.js the way Vercel would
+     */
+    async handleApi(req, res, url) {
+        const name = url.pathname.slice('/api/'.length);
+        const handlerPath = path.join(this.rootDir, 'api', `${name}.js`);
+
+        if (!/^[a-z][a-z0-9-]*$/.test(name) || !fs.existsSync(handlerPath)) {
+            return this.send(res, 404, 'Not found', '.html');
+        }
+
+        const handler = require(handlerPath);
+        await handler(req, res);
+    }
+
+    async serveFile(res, pathname) {
+        // The build writes French pages to fr/; in source mode they are rendered from the same files
+        let locale = DEFAULT_LOCALE;
+        if (this.mode === 'source') {
+            const [, first = '', ...rest] = pathname.split('/');
+            if (first !== DEFAULT_LOCALE && this.builder.locales.includes(first)) {
+                if (rest.length === 0) return this.redirect(res, 301, `${pathname}/`);
+                locale = first;
+                pathname = `/${rest.join('/')}`;
+            }
+        }
+
+        let filePath = path.normalize(path.join(this.serveDir, decodeURIComponent(pathname)));
+        const relativePath = path.relative(this.serveDir, filePath);
+
+        // Stay inside the served directory and never serve dotfiles (.env holds secrets)
+        if (relativePath.startsWith('..') || relativePath.split(path.sep).some(part => part.startsWith('.'))) {
+            return this.send(res, 403, 'Forbidden', '.html');
+        }
+
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            // Pages use relative asset URLs, so /career-launch must become /career-launch/
+            if (!pathname.endsWith('/')) {
+                return this.redirect(res, 301, `${pathname}/`);
+            }
+            filePath = path.join(filePath, 'index.html');
+        }
+        if (!fs.existsSync(filePath)) {
+            return this.send(res, 404, 'Not found', '.html');
+        }
+
+        const ext = path.extname(filePath);
+        if (this.mode === 'source' && relativePath.split(path.sep).join('/') === this.builder.themeStylesheet) {
+            // The event's theme colours are otherwise only applied by the build
+            return this.send(res, 200, this.builder.applyTheme(fs.readFileSync(filePath, 'utf8')), ext);
+        }
+        if (ext !== '.html') {
+            return this.send(res, 200, fs.readFileSync(filePath), ext);
+        }
+
+        let html = fs.readFileSync(filePath, 'utf8');
+        if (this.mode === 'source') {
+            const page = path.relative(this.rootDir, filePath);
+            html = await this.builder.assembleComponents(html, page, [], this.builder.getPageScope(page, locale));
+            html = this.builder.rebaseReferences(html, path.dirname(page), path.dirname(this.builder.getPagePath(page, locale)));
+        }
+
+        html = html.replace('</body>', '<script src="/__dev/client.js"></script></body>');
+        this.send(res, 200, html, ext);
+    }
+
+    send(res, status, body, ext) {
+        res.writeHead(status, {
+            'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        res.end(body);
+    }
+
+    redirect(res, status, location) {
+        res.writeHead(status, { 'Location': location, 'Cache-Control': 'no-store' });
+        res.end();
+    }
+
+    close() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.clients.forEach(client => client.end());
+        if (this.server) this.server.close();
+    }
+}
+
+// Run the server if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portArg = args.find(arg => arg.startsWith('--port='));
+    const eventArg = args.find(arg => arg.startsWith('--event='));
+
+    const devServer = new DevServer({
+        mode: args.includes('--source') ? 'source' : 'dist',
+        events: eventArg ? eventArg.slice('--event='.length).split(',') : undefined,
+        port: portArg ? Number(portArg.slice('--port='.length)) : Number(process.env.PORT) || 3000
+    });
+
+    devServer.start().catch(error => {
+        console.error('❌ Dev server failed to start:', error.message);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => {
+        devServer.close();
+        process.exit(0);
+    });
+}
+
+module.exports = DevServer;
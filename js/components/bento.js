@@ -2,8 +2,12 @@
  * Bento Grid Component
  * Handles video loading, accessibility, and responsive interactions
  */
+
+import I18n from '../i18n.js';
+
 class BentoGrid {
-    constructor() {
+    constructor(i18n = new I18n()) {
+        this.i18n = i18n;
         this.bentoGrid = document.querySelector('.bento-grid');
         this.videoCard = document.querySelector('.bento-card-video');
         this.iframe = document.querySelector('.video-container iframe');
@@ -64,7 +68,7 @@ class BentoGrid {
         }
         
         // Enhance video accessibility
-        this.iframe.setAttribute('title', 'OECD Career Fair Value Video');
+        this.iframe.setAttribute('title', this.i18n.t('bento.videoTitle'));
         
         this.isVideoLoaded = true;
         console.log('Bento Grid: Video loaded successfully');
@@ -93,9 +97,9 @@ class BentoGrid {
             
             // Enhance ARIA labels for screen readers
             if (card.classList.contains('event-details-card')) {
-                card.setAttribute('aria-label', 'Event details and information card');
+                card.setAttribute('aria-label', this.i18n.t('bento.detailsCard'));
             } else if (card.classList.contains('bento-card-video')) {
-                card.setAttribute('aria-label', 'Educational video about career fairs');
+                card.setAttribute('aria-label', this.i18n.t('bento.videoCard'));
             }
         });
         
@@ -252,9 +256,4 @@ class BentoGrid {
     }
 }
 
-// Export for ES6 modules and global use
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = BentoGrid;
-} else {
-    window.BentoGrid = BentoGrid;
-}
\ No newline at end of file
+export default BentoGrid;
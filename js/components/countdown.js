@@ -0,0 +1,213 @@
+/**
+ * Countdown Component
+ * Ticks down to the event start (data-starts-at, from event.json) and shows
+ * the start in the visitor's time zone beside the event's own. The ticking
+ * numbers are hidden from screen readers; a polite status line announces
+ * only when the coarse remaining time (days, then hours) changes.
+ */
+
+import I18n from '../i18n.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+class Countdown {
+    constructor(i18n = new I18n()) {
+        this.i18n = i18n;
+        this.root = document.querySelector('.countdown');
+        this.timer = this.root?.querySelector('.countdown-timer');
+        this.localTime = this.root?.querySelector('.countdown-time-local');
+        this.status = this.root?.querySelector('.countdown-status');
+        this.startsAt = null;
+        this.timeZone = null;
+        this.values = {};
+        this.intervalId = null;
+        this.isStarted = false;
+        this.handleVisibilityChange = () => (document.hidden ? this.stop() : this.start());
+
+        this.init();
+    }
+
+    init() {
+        if (!this.root || !this.timer || !this.status) {
+            console.warn('Countdown: Countdown elements not found');
+            return false;
+        }
+
+        this.startsAt = new Date(this.root.dataset.startsAt);
+        this.timeZone = this.root.dataset.timeZone;
+        if (isNaN(this.startsAt)) {
+            // Leave the server-rendered start time in place
+            console.warn(`Countdown: Invalid start time "${this.root.dataset.startsAt}"`);
+            this.startsAt = null;
+            return false;
+        }
+
+        this.showLocalTime();
+        this.renderTimer();
+        this.timer.hidden = false;
+
+        // No need to tick in a background tab; catch up when it comes back
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.start();
+
+        return true;
+    }
+
+    /**
+     * Adds "Your time: ..." when the visitor isn't in the event's time zone
+     */
+    showLocalTime() {
+        if (!this.localTime) return;
+
+        const options = {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        };
+        const locale = `${this.i18n.locale}-CA`;
+        const local = new Intl.DateTimeFormat(locale, options).format(this.startsAt);
+
+        let eventTime = null;
+        try {
+            eventTime = new Intl.DateTimeFormat(locale, { ...options, timeZone: this.timeZone }).format(this.startsAt);
+        } catch (error) {
+            console.warn(`Countdown: Unknown time zone "${this.timeZone}"`);
+        }
+
+        // Same wall-clock time and zone name: the event's time already says it
+        if (local === eventTime) return;
+
+        this.localTime.textContent = this.i18n.t('countdown.localTime', { time: local });
+        this.localTime.hidden = false;
+    }
+
+    /**
+     * Builds the days/hours/minutes/seconds boxes once; tick() only updates the numbers
+     */
+    renderTimer() {
+        this.timer.textContent = '';
+
+        ['days', 'hours', 'minutes', 'seconds'].forEach(unit => {
+            const box = document.createElement('span');
+            box.className = 'countdown-unit';
+
+            const value = document.createElement('span');
+            value.className = 'countdown-value';
+
+            const label = document.createElement('span');
+            label.className = 'countdown-label';
+            label.textContent = this.i18n.t(`countdown.${unit}`);
+
+            box.append(value, label);
+            this.timer.appendChild(box);
+            this.values[unit] = value;
+        });
+    }
+
+    start() {
+        if (this.intervalId || this.isStarted || !this.startsAt) return;
+
+        this.tick();
+        if (!this.isStarted) {
+            this.intervalId = setInterval(() => this.tick(), SECOND);
+        }
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+
+    tick() {
+        const remaining = this.getRemaining();
+
+        if (remaining <= 0) {
+            this.stop();
+            this.isStarted = true;
+            this.root.classList.add('countdown-started');
+            this.timer.textContent = this.i18n.t('countdown.started');
+            this.announce(this.i18n.t('countdown.started'));
+            return;
+        }
+
+        this.values.days.textContent = Math.floor(remaining / DAY);
+        this.values.hours.textContent = String(Math.floor((remaining % DAY) / HOUR)).padStart(2, '0');
+        this.values.minutes.textContent = String(Math.floor((remaining % HOUR) / MINUTE)).padStart(2, '0');
+        this.values.seconds.textContent = String(Math.floor((remaining % MINUTE) / SECOND)).padStart(2, '0');
+
+        this.announce(this.describe(remaining));
+    }
+
+    /**
+     * @param {number} remaining - Milliseconds until the start
+     * @returns {string} - Remaining time in whole days, else whole hours, else "less than an hour"
+     */
+    describe(remaining) {
+        const days = Math.floor(remaining / DAY);
+        if (days > 0) {
+            return days === 1
+                ? this.i18n.t('countdown.startsInOneDay')
+                : this.i18n.t('countdown.startsInDays', { count: days });
+        }
+
+        const hours = Math.floor(remaining / HOUR);
+        if (hours > 0) {
+            return hours === 1
+                ? this.i18n.t('countdown.startsInOneHour')
+                : this.i18n.t('countdown.startsInHours', { count: hours });
+        }
+
+        return this.i18n.t('countdown.startsSoon');
+    }
+
+    /**
+     * Updates the live region only when the text changes, so screen readers
+     * hear about once a day (hourly on the last day) rather than every second
+     * @param {string} message - Status text
+     */
+    announce(message) {
+        if (this.status.textContent !== message) {
+            this.status.textContent = message;
+        }
+    }
+
+    /**
+     * @returns {number} - Milliseconds until the start (negative once started)
+     */
+    getRemaining() {
+        return this.startsAt ? this.startsAt.getTime() - Date.now() : 0;
+    }
+
+    // Public method to get component state
+    getState() {
+        return {
+            isInitialized: !!this.startsAt,
+            startsAt: this.startsAt ? this.startsAt.toISOString() : null,
+            timeZone: this.timeZone,
+            remainingMs: Math.max(0, this.getRemaining()),
+            isStarted: this.isStarted,
+            isRunning: !!this.intervalId,
+            showsLocalTime: this.localTime ? !this.localTime.hidden : false
+        };
+    }
+
+    // Public method to destroy component
+    destroy() {
+        this.stop();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.root = null;
+        this.timer = null;
+        this.localTime = null;
+        this.status = null;
+        this.values = {};
+    }
+}
+
+export default Countdown;
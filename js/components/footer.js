@@ -2,8 +2,12 @@
  * Footer Component
  * Handles footer interactions, responsive behavior, and analytics
  */
+
+import I18n from '../i18n.js';
+
 class Footer {
-    constructor() {
+    constructor(i18n = new I18n()) {
+        this.i18n = i18n;
         this.footer = document.querySelector('.footer-bar');
         this.footerContent = document.querySelector('.footer-content');
         this.footerLinks = document.querySelectorAll('.footer-link');
@@ -140,9 +144,9 @@ class Footer {
         this.footerLinks.forEach((link, index) => {
             // Add descriptive aria-labels
             if (link.href.startsWith('mailto:')) {
-                link.setAttribute('aria-label', `Send email to ${link.textContent.trim()}`);
+                link.setAttribute('aria-label', this.i18n.t('footer.emailLink', { email: link.textContent.trim() }));
             } else if (link.href.includes('myblueprint.ca')) {
-                link.setAttribute('aria-label', 'Visit myBlueprint website (opens in new tab)');
+                link.setAttribute('aria-label', this.i18n.t('footer.websiteLink'));
             }
             
             // Ensure proper tab order
@@ -151,7 +155,7 @@ class Footer {
         
         // Add landmark role to footer
         this.footer.setAttribute('role', 'contentinfo');
-        this.footer.setAttribute('aria-label', 'Site footer with contact information');
+        this.footer.setAttribute('aria-label', this.i18n.t('footer.label'));
     }
     
     setupEmailLink() {
@@ -308,9 +312,4 @@ class Footer {
     }
 }
 
-// Export for ES6 modules and global use
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Footer;
-} else {
-    window.Footer = Footer;
-}
\ No newline at end of file
+export default Footer;
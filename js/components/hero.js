@@ -2,20 +2,42 @@
  * Hero Content Component
  * Handles form validation, submission, and user interactions
  */
+
+import appConfig from '../config.js';
+import FormValidator from '../validation.js';
+import SignupQueue from '../signup-queue.js';
+
 class HeroForm {
-    constructor(validator, zohoConfig = {}) {
+    constructor(validator, zohoConfig = {}, signupQueue = null) {
         this.validator = validator || new FormValidator();
+        this.i18n = this.validator.i18n;
+        this.signupQueue = signupQueue || new SignupQueue();
         this.isSubmitting = false;
+        this.isReplaying = false;
         this.retryCount = 0;
-        this.maxRetries = 3;
         
-        // Zoho configuration
+        // Build-time settings from js/config.js; explicit zohoConfig values win
+        this.maxRetries = appConfig.maxRetries ?? 3;
+        
+        // Bot protection: a hidden honeypot field and a minimum time-to-submit
+        this.honeypotField = 'website';
+        this.minSubmitTime = 3000;
+        this.formReadyAt = Date.now();
+        
+        // Signup endpoint configuration (Zoho credentials live on the server)
         this.zohoConfig = {
-            endpoint: zohoConfig.endpoint || process.env.ZOHO_ENDPOINT || 'https://api.zoho.com/crm/v2/Leads',
-            authToken: zohoConfig.authToken || process.env.ZOHO_AUTH_TOKEN || '',
-            timeout: zohoConfig.timeout || 10000
+            endpoint: zohoConfig.endpoint || appConfig.signupEndpoint || '/api/subscribe',
+            timeout: zohoConfig.timeout || appConfig.formTimeout || 10000
         };
         
+        this.consentGivenAt = null;
+        
+        // Lifecycle phase (set by LifecycleController); the button starts with the build's label
+        this.phase = null;
+        this.submitLabel = null;
+        
+        this.handleOnline = () => this.replayQueuedSignups();
+        
         this.init();
     }
     
@@ -29,8 +51,19 @@ class HeroForm {
             return false;
         }
         
-        // Setup form validation
-        this.validator.attachRealTimeValidation(emailInput, errorElement);
+        // Setup form validation for every field in the schema
+        this.validator.attachFormValidation(form);
+        
+        const buttonText = form.querySelector('.cta-button .button-text');
+        this.submitLabel = buttonText ? buttonText.textContent : '';
+        
+        // Remember when consent was given, for the CASL record
+        const consentInput = document.getElementById('consent');
+        if (consentInput) {
+            consentInput.addEventListener('change', () => {
+                this.consentGivenAt = consentInput.checked ? new Date().toISOString() : null;
+            });
+        }
         
         // Handle form submission
         form.addEventListener('submit', (e) => this.handleFormSubmit(e));
@@ -43,6 +76,12 @@ class HeroForm {
             }
         });
         
+        // Resubmit queued signups when the connection returns, and from earlier visits
+        window.addEventListener('online', this.handleOnline);
+        if (navigator.onLine) {
+            this.replayQueuedSignups();
+        }
+        
         return true;
     }
     
@@ -62,6 +101,14 @@ class HeroForm {
         // Clear any previous messages
         this.clearMessages();
         
+        // Likely a bot: look successful without sending anything
+        if (this.isSuspectedBot(form)) {
+            console.warn('Hero Form: Submission rejected by bot checks');
+            this.showSuccess(messagesElement, '', { pending: true });
+            this.resetForm(form);
+            return;
+        }
+        
         // Validate form
         const validationResult = this.validator.validateForm(form);
         if (!validationResult.isValid) {
@@ -69,24 +116,44 @@ class HeroForm {
             return;
         }
         
+        // Capture consent details now so queued signups keep the original record
+        const signup = {
+            ...validationResult.data,
+            language: this.i18n.locale,
+            consentRecord: this.buildConsentRecord(),
+            elapsedMs: Date.now() - this.formReadyAt
+        };
+        
+        // Known to be offline: queue straight away instead of burning retries
+        if (!navigator.onLine && this.queueSignup(signup)) {
+            this.showQueued(messagesElement);
+            this.resetForm(form);
+            return;
+        }
+        
         try {
             this.setLoadingState(button, true);
             this.isSubmitting = true;
             
             // Submit to Zoho
-            const result = await this.submitToZoho(validationResult.data);
+            const result = await this.submitToZoho(signup);
             
             if (result.success) {
-                this.showSuccess(messagesElement, validationResult.data.email);
+                this.showSuccess(messagesElement, signup.email, result);
                 this.resetForm(form);
-                this.trackConversion(validationResult.data.email);
+                this.trackConversion(signup.email, signup);
             } else {
                 throw new Error(result.message || 'Submission failed');
             }
             
         } catch (error) {
             console.error('Hero Form: Submission error:', error);
-            this.handleSubmissionError(error, messagesElement);
+            if (this.isQueueableError(error) && this.queueSignup(signup)) {
+                this.showQueued(messagesElement, error.status ? this.validator.messages.serverQueued : undefined);
+                this.resetForm(form);
+            } else {
+                this.handleSubmissionError(error, messagesElement);
+            }
             
         } finally {
             this.setLoadingState(button, false);
@@ -95,57 +162,52 @@ class HeroForm {
     }
     
     /**
-     * Submit data to Zoho CRM
+     * Submit data to Zoho CRM via the server-side signup endpoint
      * @param {Object} data - Form data to submit
      * @returns {Promise<Object>} - Submission result
      */
     async submitToZoho(data) {
-        // If no auth token, use fallback method
-        if (!this.zohoConfig.authToken) {
-            console.warn('Hero Form: Zoho auth token not configured, using fallback');
+        // If no endpoint, use fallback method
+        if (!this.zohoConfig.endpoint) {
+            console.warn('Hero Form: Signup endpoint not configured, using fallback');
             return this.simulateSubmission(data);
         }
         
-        const payload = {
-            data: [{
-                Email: data.email,
-                Lead_Source: 'Career Launch Landing Page',
-                Lead_Status: 'Not Contacted',
-                Company: 'Educational Institution',
-                Last_Name: data.email.split('@')[0],
-                Description: `Interested in myBlueprint Career Launch event on December 2nd. Signed up for agenda notifications.`
-            }]
-        };
-        
         const requestOptions = {
             method: 'POST',
             headers: {
-                'Authorization': `Zoho-oauthtoken ${this.zohoConfig.authToken}`,
                 'Content-Type': 'application/json',
                 'Accept': 'application/json'
             },
-            body: JSON.stringify(payload),
+            body: JSON.stringify(this.buildSubmission(data)),
             signal: AbortSignal.timeout(this.zohoConfig.timeout)
         };
         
         try {
             const response = await fetch(this.zohoConfig.endpoint, requestOptions);
-            const result = await response.json();
+            const result = await response.json().catch(() => ({}));
             
-            if (response.ok && result.data && result.data[0].status === 'success') {
-                return { success: true, id: result.data[0].details.id };
+            if (response.ok && result.success) {
+                return {
+                    success: true,
+                    id: result.id,
+                    pending: !!result.pending,
+                    duplicate: !!result.duplicate
+                };
             } else {
-                const errorMsg = result.data?.[0]?.message || result.message || 'API request failed';
-                throw new Error(errorMsg);
+                // The status tells a replay whether to keep the signup (5xx) or drop it (4xx)
+                const error = new Error(result.message || 'API request failed');
+                error.status = response.status;
+                throw error;
             }
             
         } catch (error) {
-            if (error.name === 'AbortError') {
+            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
                 throw new Error('Request timed out. Please check your connection.');
             }
             
-            // Retry logic for network errors
-            if (this.retryCount < this.maxRetries && this.isNetworkError(error)) {
+            // Retry logic for network errors (a response from the server is not one, whatever its message)
+            if (this.retryCount < this.maxRetries && !error.status && this.isNetworkError(error)) {
                 this.retryCount++;
                 console.log(`Hero Form: Retrying submission (attempt ${this.retryCount})`);
                 await this.delay(1000 * this.retryCount);
@@ -157,6 +219,121 @@ class HeroForm {
     }
     
     /**
+     * Build the signup request body from the validator's field schema
+     * The server maps these fields to Zoho lead fields with the same schema
+     * @param {Object} data - Validated form data keyed by field name
+     * @returns {Object} - Request payload containing only schema fields
+     */
+    buildSubmission(data) {
+        const payload = this.validator.schema.reduce((fields, field) => {
+            if (data[field.name] !== undefined) {
+                fields[field.name] = data[field.name];
+            }
+            return fields;
+        }, {});
+        
+        if (data.consentRecord) {
+            payload.consentRecord = data.consentRecord;
+        }
+        
+        // Lets the server repeat the time-to-submit check
+        payload.elapsedMs = data.elapsedMs;
+        
+        // Which event's site this is, so the lead gets that event's Lead_Source
+        if (appConfig.event) {
+            payload.event = appConfig.event;
+        }
+        
+        return payload;
+    }
+    
+    /**
+     * Client-side bot checks (the signup route repeats them)
+     * @param {HTMLFormElement} form - Form element
+     * @returns {boolean} - Whether the submission looks automated
+     */
+    isSuspectedBot(form) {
+        const honeypot = form.querySelector(`[name="${this.honeypotField}"]`);
+        if (honeypot && honeypot.value.trim() !== '') {
+            return true;
+        }
+        
+        return Date.now() - this.formReadyAt < this.minSubmitTime;
+    }
+    
+    /**
+     * Build the CASL consent record sent with the lead
+     * The version is derived from the wording shown, so a wording change is a new version
+     * @returns {Object} - { timestamp, version, text, pageUrl, userAgent }
+     */
+    buildConsentRecord() {
+        const consentText = document.getElementById('consent-text');
+        const text = consentText ? consentText.textContent.replace(/\s+/g, ' ').trim() : '';
+        
+        return {
+            timestamp: this.consentGivenAt || new Date().toISOString(),
+            version: this.validator.getConsentVersion(text),
+            text,
+            pageUrl: window.location.href,
+            userAgent: navigator.userAgent
+        };
+    }
+    
+    /**
+     * Store a signup for later resubmission
+     * @param {Object} data - Validated form data
+     * @returns {boolean} - Whether the signup was queued
+     */
+    queueSignup(data) {
+        const queued = this.signupQueue.enqueue(data);
+        if (queued) {
+            console.log('Hero Form: Signup queued for resubmission');
+        }
+        return queued;
+    }
+    
+    /**
+     * Resubmit signups saved while offline
+     * @returns {Promise<Object|undefined>} - Flush result, if a replay ran
+     */
+    async replayQueuedSignups() {
+        if (this.isReplaying || this.signupQueue.size() === 0) return;
+        
+        this.isReplaying = true;
+        
+        try {
+            const result = await this.signupQueue.flush(
+                (data) => {
+                    this.retryCount = 0;
+                    return this.submitToZoho(data);
+                },
+                // A rate limit passes; keep the signup for the next replay
+                (error) => error.status === 429 || this.isQueueableError(error)
+            );
+            
+            result.submitted.forEach(entry => {
+                this.trackConversion(entry.email, entry.data);
+            });
+            
+            // Let the visitor know if they are still on the page
+            const lastEntry = result.submitted[result.submitted.length - 1];
+            const messagesElement = document.getElementById('form-messages');
+            if (lastEntry && messagesElement && !this.isSubmitting) {
+                this.showSuccess(messagesElement, lastEntry.email, lastEntry.result);
+            }
+            
+            return result;
+            
+        } catch (error) {
+            console.warn('Hero Form: Replaying queued signups failed:', error);
+            
+        } finally {
+            this.retryCount = 0;
+            this.isReplaying = false;
+        }
+    }
+    
+        /**
      * Fallback submission method (for testing without Zoho credentials)
      * @param {Object} data - Form data
      * @returns {Promise<Object>} - Simulated result
@@ -180,17 +357,38 @@ class HeroForm {
             button.classList.add('loading');
             button.disabled = true;
             button.setAttribute('aria-busy', 'true');
-            button.querySelector('.button-text').textContent = 'Submitting...';
+            button.querySelector('.button-text').textContent = this.i18n.t('form.submitting');
         } else {
             button.classList.remove('loading');
             button.disabled = false;
             button.setAttribute('aria-busy', 'false');
-            button.querySelector('.button-text').textContent = 'Sign Up';
+            button.querySelector('.button-text').textContent = this.submitLabel;
+        }
+    }
+    
+    /**
+     * Matches the submit label and success messages to a lifecycle phase
+     * @param {string} phase - Phase id from js/lifecycle.js
+     */
+    setPhase(phase) {
+        this.phase = phase;
+        this.submitLabel = this.i18n.t(`phases.${phase}.submit`);
+        this.validator.setPhase(phase);
+        
+        const buttonText = document.querySelector('#email-form .cta-button .button-text');
+        if (buttonText && !this.isSubmitting) {
+            buttonText.textContent = this.submitLabel;
         }
     }
     
-    showSuccess(messagesElement, email) {
-        const message = this.validator.getSuccessMessage(email);
+    /**
+     * Show the success message for a completed submission
+     * @param {HTMLElement} messagesElement - Form messages container
+     * @param {string} email - Submitted email address
+     * @param {Object} result - Submission result ({ pending } awaiting confirmation, { duplicate } when already subscribed)
+     */
+    showSuccess(messagesElement, email, result = {}) {
+        const message = this.validator.getSuccessMessage(email, result);
         messagesElement.className = 'form-messages success show';
         messagesElement.textContent = message;
         messagesElement.setAttribute('role', 'status');
@@ -203,13 +401,22 @@ class HeroForm {
         }, 10000);
     }
     
+    showQueued(messagesElement, message = this.validator.messages.queued) {
+        messagesElement.className = 'form-messages success show';
+        messagesElement.textContent = message;
+        messagesElement.setAttribute('role', 'status');
+        messagesElement.setAttribute('aria-live', 'polite');
+    }
+    
     handleSubmissionError(error, messagesElement) {
         let errorMessage;
         
-        if (this.isNetworkError(error)) {
+        if (error.status === 429) {
+            errorMessage = this.validator.messages.rateLimited;
+        } else if (this.isNetworkError(error)) {
             errorMessage = this.validator.messages.networkError;
         } else if (error.message.includes('timeout') || error.message.includes('timed out')) {
-            errorMessage = 'Request timed out. Please try again.';
+            errorMessage = this.validator.messages.timeoutError;
         } else {
             errorMessage = this.validator.messages.serverError;
         }
@@ -236,36 +443,58 @@ class HeroForm {
     }
     
     resetForm(form) {
-        const emailInput = form.querySelector('#email');
-        if (emailInput) {
-            emailInput.value = '';
-            emailInput.classList.remove('invalid');
-            emailInput.removeAttribute('aria-invalid');
-        }
+        this.validator.schema.filter(field => field.id).forEach(field => {
+            const input = form.querySelector(`#${field.id}`);
+            if (input) {
+                if (input.type === 'checkbox') {
+                    input.checked = false;
+                } else {
+                    input.value = '';
+                }
+                input.classList.remove('invalid');
+                input.removeAttribute('aria-invalid');
+            }
+            
+            const errorElement = form.querySelector(`#${field.id}-error`);
+            if (errorElement) {
+                this.validator.displayError(errorElement, '');
+            }
+            
+            const suggestionElement = form.querySelector(`#${field.id}-suggestion`);
+            if (suggestionElement) {
+                this.validator.displaySuggestion(suggestionElement, null, input, field.name);
+            }
+            
+            this.validator.displayWarning(form.querySelector(`#${field.id}-warning`), '');
+        });
         
-        const errorElement = form.querySelector('#email-error');
-        if (errorElement) {
-            this.validator.displayError(errorElement, '');
-        }
+        const honeypot = form.querySelector(`[name="${this.honeypotField}"]`);
+        if (honeypot) honeypot.value = '';
         
+        this.consentGivenAt = null;
+        this.formReadyAt = Date.now();
         this.retryCount = 0;
     }
     
     focusOnError() {
-        const errorInput = document.querySelector('.form-input.invalid');
+        const errorInput = document.querySelector('.form-input.invalid, .form-checkbox.invalid');
         if (errorInput) {
             errorInput.focus();
         }
     }
     
-    trackConversion(email) {
+    trackConversion(email, data = {}) {
         try {
+            const board = this.validator.getSchoolBoard(email);
             const conversionData = {
                 event: 'email_signup',
                 email_domain: email.split('@')[1],
                 timestamp: new Date().toISOString(),
                 page: 'career_launch_landing',
-                is_educational: this.validator.isEducationalEmail(email)
+                is_educational: this.validator.isEducationalEmail(email),
+                role: data.role || null,
+                board_id: board ? board.id : null,
+                board_region: board ? board.region : null
             };
             
             console.log('Hero Form: Conversion tracked:', conversionData);
@@ -275,6 +504,22 @@ class HeroForm {
         }
     }
     
+    /**
+     * Whether a failed submission is worth keeping for later: offline, timed
+     * out or a server error. Only a 4xx (the server rejected the signup
+     * itself) means it will never go through.
+     * @param {Error} error - Submission error (with the response status if the server answered)
+     * @returns {boolean}
+     */
+    isQueueableError(error) {
+        if (error.status) {
+            return error.status >= 500;
+        }
+        
+        const errorMessage = (error.message || '').toLowerCase();
+        return this.isNetworkError(error) || errorMessage.includes('timed out') || !navigator.onLine;
+    }
+    
     isNetworkError(error) {
         const networkErrors = [
             'network', 'fetch', 'connection', 'timeout',
@@ -294,13 +539,17 @@ class HeroForm {
         return {
             isSubmitting: this.isSubmitting,
             retryCount: this.retryCount,
-            hasZohoConfig: !!this.zohoConfig.authToken,
+            hasEndpoint: !!this.zohoConfig.endpoint,
+            queuedSignups: this.signupQueue.size(),
+            phase: this.phase,
             formExists: !!document.getElementById('email-form')
         };
     }
     
     // Public method to destroy component
     destroy() {
+        window.removeEventListener('online', this.handleOnline);
+        
         const form = document.getElementById('email-form');
         if (form) {
             // Remove event listeners by cloning and replacing
@@ -310,9 +559,4 @@ class HeroForm {
     }
 }
 
-// Export for ES6 modules and global use
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = HeroForm;
-} else {
-    window.HeroForm = HeroForm;
-}
\ No newline at end of file
+export default HeroForm;
@@ -0,0 +1,57 @@
+/**
+ * Language Toggle Component
+ * The build links each page to its other-language versions
+ * (components/language-toggle.html); this keeps the query string and hash
+ * on those links, so switching language on confirm.html?status=expired
+ * shows the same status.
+ */
+class LanguageToggle {
+    constructor() {
+        this.links = document.querySelectorAll('.language-toggle-link');
+        this.handleClick = (event) => this.carryState(event.currentTarget);
+
+        this.init();
+    }
+
+    init() {
+        if (this.links.length === 0) {
+            console.warn('Language Toggle: No language links found');
+            return false;
+        }
+
+        this.links.forEach(link => {
+            link.addEventListener('click', this.handleClick);
+        });
+
+        return true;
+    }
+
+    /**
+     * Copies the current page's query string and hash onto a language link
+     * @param {HTMLAnchorElement} link - Link about to be followed
+     */
+    carryState(link) {
+        const url = new URL(link.href);
+        url.search = window.location.search;
+        url.hash = window.location.hash;
+        link.href = url.href;
+    }
+
+    // Public method to get component state
+    getState() {
+        return {
+            linkCount: this.links.length,
+            languages: Array.from(this.links).map(link => link.hreflang)
+        };
+    }
+
+    // Public method to destroy component
+    destroy() {
+        this.links.forEach(link => {
+            link.removeEventListener('click', this.handleClick);
+        });
+        this.links = [];
+    }
+}
+
+export default LanguageToggle;
@@ -0,0 +1,115 @@
+/**
+ * Lifecycle Controller
+ * The build renders each phase's headline and call to action with
+ * data-phase, showing the phase it was built in. This picks the phase from
+ * the clock instead (js/lifecycle.js), switches again when the next one
+ * begins, and takes ?phase=agenda (or live, on-demand) to preview a phase.
+ */
+
+import EventLifecycle from '../lifecycle.js';
+
+// setTimeout fires immediately for delays past ~24.8 days; wait in steps instead
+const MAX_TIMEOUT = 2147483647;
+
+class LifecycleController {
+    constructor(schedule, heroForm = null) {
+        this.schedule = schedule;
+        this.lifecycle = new EventLifecycle(schedule || {});
+        this.heroForm = heroForm;
+        this.blocks = document.querySelectorAll('.phase-copy[data-phase]');
+        this.override = null;
+        this.phase = null;
+        this.timeoutId = null;
+
+        this.init();
+    }
+
+    init() {
+        if (this.blocks.length === 0) {
+            console.warn('Lifecycle: No phase content found');
+            return false;
+        }
+
+        if (!this.schedule) {
+            console.warn('Lifecycle: No event schedule in js/config.js; showing the first phase');
+        }
+
+        this.override = this.getOverride();
+        this.update();
+
+        return true;
+    }
+
+    /**
+     * @returns {string|null} - Phase requested with ?phase=, if it is one
+     */
+    getOverride() {
+        const phase = new URLSearchParams(window.location.search).get('phase');
+        if (!phase) return null;
+
+        if (!EventLifecycle.isPhase(phase)) {
+            console.warn(`Lifecycle: Unknown phase "${phase}" (expected ${EventLifecycle.PHASES.join(', ')})`);
+            return null;
+        }
+
+        return phase;
+    }
+
+    update() {
+        this.setPhase(this.override || this.lifecycle.getPhase());
+        this.scheduleNextChange();
+    }
+
+    /**
+     * Shows one phase's copy and hands the phase to the signup form
+     * @param {string} phase - Phase id
+     */
+    setPhase(phase) {
+        if (phase === this.phase) return;
+
+        this.phase = phase;
+        this.blocks.forEach(block => {
+            block.hidden = block.dataset.phase !== phase;
+        });
+
+        if (this.heroForm) {
+            this.heroForm.setPhase(phase);
+        }
+    }
+
+    scheduleNextChange() {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+
+        // A previewed phase stays put
+        if (this.override) return;
+
+        const next = this.lifecycle.getNextChange();
+        if (!next) return;
+
+        // A second late, so the new phase has begun by the time we check
+        const delay = Math.min(Math.max(next.getTime() - Date.now(), 0) + 1000, MAX_TIMEOUT);
+        this.timeoutId = setTimeout(() => this.update(), delay);
+    }
+
+    // Public method to get component state
+    getState() {
+        const next = this.lifecycle.getNextChange();
+        return {
+            phase: this.phase,
+            isPreview: !!this.override,
+            nextChange: next && !this.override ? next.toISOString() : null,
+            blockCount: this.blocks.length
+        };
+    }
+
+    // Public method to destroy component
+    destroy() {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+        this.heroForm = null;
+        this.blocks = [];
+    }
+}
+
+export default LifecycleController;
@@ -2,8 +2,12 @@
  * Hero Carousel Component
  * Handles CSS-based continuous horizontal scrolling with hover controls
  */
+
+import I18n from '../i18n.js';
+
 class HeroCarousel {
-    constructor() {
+    constructor(i18n = new I18n()) {
+        this.i18n = i18n;
         this.carousel = document.querySelector('.hero-carousel');
         this.track = document.querySelector('.carousel-track');
         this.slides = document.querySelectorAll('.carousel-slide');
@@ -76,13 +80,14 @@ class HeroCarousel {
     setupAccessibility() {
         // Update aria-label with descriptive text
         if (this.carousel) {
-            this.carousel.setAttribute('aria-label', 'Continuous carousel showing diverse career professionals');
+            this.carousel.setAttribute('aria-label', this.i18n.t('carousel.label'));
         }
         
-        // Set proper aria attributes on slides (handle duplicates)
+        // Set proper aria attributes on slides (the second half repeats the first for the loop)
+        const total = Math.ceil(this.slides.length / 2);
         this.slides.forEach((slide, index) => {
-            const slideNumber = (index % 10) + 1; // Map duplicates back to original numbers
-            slide.setAttribute('aria-label', `Career professional ${slideNumber} of 10`);
+            const number = (index % total) + 1; // Map duplicates back to original numbers
+            slide.setAttribute('aria-label', this.i18n.t('carousel.slide', { number, total }));
         });
     }
     
@@ -121,9 +126,4 @@ class HeroCarousel {
     }
 }
 
-// Export for ES6 modules and global use
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = HeroCarousel;
-} else {
-    window.HeroCarousel = HeroCarousel;
-}
\ No newline at end of file
+export default HeroCarousel;
@@ -0,0 +1,180 @@
+/**
+ * myBlueprint Career Launch - Confirmation Page
+ * The emailed link opens this page with #token=... (a fragment, so the
+ * token never reaches server logs). Nothing is confirmed until the visitor
+ * presses the button, which sends the token to /api/confirm by POST; link
+ * scanners only ever load the page. Then shows the matching status block,
+ * or the one in ?status= (set by /api/confirm for old links), worded for the
+ * phase the visitor signed up in (?phase=, else the one the page was built in).
+ */
+
+import appConfig from './config.js';
+import LanguageToggle from './components/language-toggle.js';
+
+// Build-time setting from js/config.js
+const CONFIRM_ENDPOINT = appConfig.confirmEndpoint || '/api/confirm';
+
+class ConfirmationPage {
+    constructor() {
+        this.blocks = document.querySelectorAll('.confirm-status');
+        this.phaseBlocks = document.querySelectorAll('.phase-copy[data-phase]');
+        this.button = document.querySelector('.confirm-button');
+        this.token = this.getToken();
+        this.status = this.token ? 'pending' : this.getStatus();
+        this.phase = this.token ? null : this.getPhase();
+        this.isConfirming = false;
+        this.handleClick = () => this.confirm();
+
+        this.init();
+    }
+
+    init() {
+        if (this.blocks.length === 0) {
+            console.warn('Confirmation Page: Status messages not found');
+            return false;
+        }
+
+        if (this.token && this.button) {
+            this.button.addEventListener('click', this.handleClick);
+        }
+
+        this.showPhase(this.phase);
+        this.showStatus(this.status);
+
+        return true;
+    }
+
+    /**
+     * @returns {string|null} - Signed token from the link's #token=
+     */
+    getToken() {
+        return new URLSearchParams(window.location.hash.slice(1)).get('token');
+    }
+
+    /**
+     * Reads the status from the query string, falling back to a known value
+     * @returns {string} - One of the data-status values on the page
+     */
+    getStatus() {
+        const status = new URLSearchParams(window.location.search).get('status');
+        const known = this.getKnownStatuses().filter(value => value !== 'pending');
+        return known.includes(status) ? status : 'invalid';
+    }
+
+    getKnownStatuses() {
+        return Array.from(this.blocks).map(block => block.dataset.status);
+    }
+
+    /**
+     * @param {string|null} phase - Candidate phase id
+     * @returns {boolean} - Whether the page has copy for it
+     */
+    isKnownPhase(phase) {
+        return Array.from(this.phaseBlocks).some(block => block.dataset.phase === phase);
+    }
+
+    /**
+     * @returns {string|null} - Phase from the query string, if the page has copy for it
+     */
+    getPhase() {
+        const phase = new URLSearchParams(window.location.search).get('phase');
+        return this.isKnownPhase(phase) ? phase : null;
+    }
+
+    /**
+     * Sends the token to /api/confirm and shows the outcome
+     * @returns {Promise<string>} - Status shown
+     */
+    async confirm() {
+        if (this.isConfirming) return this.status;
+
+        this.isConfirming = true;
+        this.setLoadingState(true);
+
+        let status;
+        let phase = null;
+        try {
+            const response = await fetch(CONFIRM_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({ token: this.token })
+            });
+            const result = await response.json().catch(() => ({}));
+            status = this.getKnownStatuses().includes(result.status) ? result.status : 'error';
+            phase = this.isKnownPhase(result.phase) ? result.phase : null;
+        } catch (error) {
+            console.error('Confirmation Page: Confirmation request failed:', error);
+            status = 'error';
+        } finally {
+            this.isConfirming = false;
+            this.setLoadingState(false);
+        }
+
+        // A failed request can be retried; anything else is final, so drop the
+        // token from the address bar and history (the language toggle keeps the query)
+        if (status !== 'error') {
+            this.token = null;
+            const query = new URLSearchParams({ status });
+            if (phase) query.set('phase', phase);
+            window.history.replaceState(null, '', `${window.location.pathname}?${query}`);
+        }
+
+        this.showPhase(phase);
+        this.showStatus(status);
+        return status;
+    }
+
+    /**
+     * Shows one status block and hides the others
+     * @param {string} status - data-status value
+     */
+    showStatus(status) {
+        this.status = status;
+        this.blocks.forEach(block => {
+            block.hidden = block.dataset.status !== status;
+        });
+    }
+
+    /**
+     * Shows one phase's confirmed and updated copy; without a phase the
+     * build's default stays
+     * @param {string|null} phase - Phase id
+     */
+    showPhase(phase) {
+        if (!phase) return;
+
+        this.phase = phase;
+        this.phaseBlocks.forEach(block => {
+            block.hidden = block.dataset.phase !== phase;
+        });
+    }
+
+    setLoadingState(isLoading) {
+        if (!this.button) return;
+
+        this.button.classList.toggle('loading', isLoading);
+        this.button.disabled = isLoading;
+        this.button.setAttribute('aria-busy', String(isLoading));
+    }
+
+    // Public method to get page state
+    getState() {
+        return {
+            status: this.status,
+            phase: this.phase,
+            hasToken: !!this.token,
+            isConfirming: this.isConfirming,
+            messageCount: this.blocks.length
+        };
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.confirmationPage = new ConfirmationPage();
+    window.languageToggle = new LanguageToggle();
+});
+
+export default ConfirmationPage;
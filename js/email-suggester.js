@@ -0,0 +1,100 @@
+/**
+ * myBlueprint Career Launch - Email Domain Suggester
+ * Offers "Did you mean…?" corrections for mistyped email domains using edit
+ * distance against common providers. FormValidator adds the school board
+ * domains from js/school-boards.js
+ */
+
+class EmailSuggester {
+    constructor(options = {}) {
+        this.domains = options.domains || EmailSuggester.DEFAULT_DOMAINS;
+        this.maxDistance = options.maxDistance || 2;
+    }
+
+    /**
+     * Suggests a corrected address when the domain looks like a typo
+     * @param {string} email - Email address as typed
+     * @returns {Object|null} - { email, domain } for the suggestion, or null
+     */
+    suggest(email) {
+        if (typeof email !== 'string') return null;
+
+        const normalizedEmail = email.trim().toLowerCase();
+        const atIndex = normalizedEmail.lastIndexOf('@');
+        if (atIndex < 1) return null;
+
+        const localPart = normalizedEmail.slice(0, atIndex);
+        const domain = normalizedEmail.slice(atIndex + 1);
+        if (!domain || this.domains.includes(domain)) return null;
+
+        // Short domains need a tighter threshold or everything looks like a typo
+        const threshold = domain.length <= 6 ? 1 : this.maxDistance;
+
+        let best = null;
+        let isTie = false;
+        this.domains.forEach(candidate => {
+            const distance = this.distance(domain, candidate);
+            if (distance > threshold) return;
+
+            if (!best || distance < best.distance) {
+                best = { domain: candidate, distance };
+                isTie = false;
+            } else if (distance === best.distance) {
+                isTie = true;
+            }
+        });
+
+        // Equally close candidates (tdsb.ca: hdsb.ca or ddsb.ca?) mean we can't guess
+        if (!best || isTie) return null;
+
+        return { email: `${localPart}@${best.domain}`, domain: best.domain };
+    }
+
+    /**
+     * Optimal string alignment distance (Levenshtein plus adjacent swaps,
+     * so "gmial" is one edit from "gmail")
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - Edit distance
+     */
+    distance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const d = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+        for (let i = 0; i < rows; i++) d[i][0] = i;
+        for (let j = 0; j < cols; j++) d[0][j] = j;
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(
+                    d[i - 1][j] + 1,
+                    d[i][j - 1] + 1,
+                    d[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
+}
+
+// Real domains are never "corrected", so near neighbours of popular ones
+// (ymail.com, hotmail.fr) have to be listed too
+EmailSuggester.DEFAULT_DOMAINS = [
+    // Common personal providers
+    'gmail.com', 'yahoo.com', 'yahoo.ca', 'ymail.com', 'hotmail.com', 'hotmail.ca',
+    'outlook.com', 'live.com', 'live.ca', 'icloud.com', 'me.com', 'msn.com',
+    'mail.com', 'aol.com', 'gmx.com', 'protonmail.com', 'proton.me',
+    'rogers.com', 'bell.net', 'sympatico.ca', 'shaw.ca', 'telus.net', 'cogeco.ca',
+    // French-language providers (Quebec and France)
+    'videotron.ca', 'hotmail.fr', 'live.fr', 'outlook.fr', 'yahoo.fr',
+    'orange.fr', 'free.fr', 'sfr.fr', 'laposte.net'
+];
+
+export default EmailSuggester;
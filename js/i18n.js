@@ -0,0 +1,71 @@
+/**
+ * myBlueprint Career Launch - Translations
+ * Looks up runtime strings in the message catalogs under js/i18n/. The page
+ * language comes from <html lang>, which build.js sets per locale; the
+ * signup API passes the language the visitor submitted in.
+ */
+
+import en from './i18n/en.js';
+import fr from './i18n/fr.js';
+
+const CATALOGS = { en, fr };
+const DEFAULT_LOCALE = 'en';
+
+class I18n {
+    constructor(locale = I18n.detectLocale()) {
+        this.locale = I18n.LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+        this.catalog = CATALOGS[this.locale];
+    }
+
+    /**
+     * Looks up a message, falling back to English when the catalog lacks it
+     * @param {string} key - Dotted key, e.g. "form.submitting"
+     * @param {Object} values - Replacements for {name} placeholders
+     * @returns {string} - The message, or the key itself if no catalog has it
+     */
+    t(key, values = {}) {
+        let message = this.get(key);
+        if (typeof message !== 'string') {
+            console.warn(`I18n: Missing "${this.locale}" message for ${key}`);
+            message = this.get(key, CATALOGS[DEFAULT_LOCALE]);
+        }
+        if (typeof message !== 'string') return key;
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            values[name] !== undefined ? String(values[name]) : placeholder
+        ));
+    }
+
+    /**
+     * A group of messages, with English filling any gaps in this locale's
+     * @param {string} key - Dotted key of a section, e.g. "validation"
+     * @returns {Object} - Messages keyed by name
+     */
+    section(key) {
+        return { ...this.get(key, CATALOGS[DEFAULT_LOCALE]), ...this.get(key) };
+    }
+
+    /**
+     * @param {string} key - Dotted key, e.g. "validation" or "fields.role"
+     * @param {Object} catalog - Catalog to read (defaults to this locale's)
+     * @returns {*} - String or section object, or undefined
+     */
+    get(key, catalog = this.catalog) {
+        return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), catalog);
+    }
+
+    /**
+     * The page's language (<html lang="fr">); English outside the browser
+     * @returns {string}
+     */
+    static detectLocale() {
+        if (typeof document === 'undefined') return DEFAULT_LOCALE;
+        return (document.documentElement.lang || DEFAULT_LOCALE).toLowerCase().split('-')[0];
+    }
+}
+
+I18n.CATALOGS = CATALOGS;
+I18n.LOCALES = Object.keys(CATALOGS);
+I18n.DEFAULT_LOCALE = DEFAULT_LOCALE;
+
+export default I18n;
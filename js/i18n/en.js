@@ -0,0 +1,133 @@
+/**
+ * myBlueprint Career Launch - English Messages
+ * Strings the scripts show at runtime. Page copy is in locales/en.json
+ * (rendered by build.js). Keep the keys in step with js/i18n/fr.js.
+ */
+
+export default {
+    validation: {
+        required: 'Email address is required',
+        invalidEmail: 'Please enter a valid email address',
+        fieldRequired: 'This field is required',
+        fieldInvalid: 'Please check this field',
+        tooLong: 'Please use {max} characters or fewer',
+        suggestion: 'Did you mean {suggestion}?',
+        disposableBlocked: 'Please use a permanent email address, such as your school board email',
+        disposableWarning: 'Temporary inboxes expire, so you may miss the agenda. Your school board email works best.',
+        roleBlocked: 'Please use your own email address rather than a shared inbox',
+        roleWarning: 'Shared inboxes like this one often miss updates. Your own email address works best.',
+        networkError: 'Network error. Please check your connection and try again.',
+        timeoutError: 'Request timed out. Please try again.',
+        queued: 'You appear to be offline. We\'ll finish signing you up when you\'re back online.',
+        serverQueued: 'Our signup service isn\'t responding right now. We\'ve saved your details and will finish signing you up the next time you visit.',
+        serverError: 'Something went wrong. Please try again later.',
+        rateLimited: 'We\'ve had a lot of signups from your network or this email address just now. Please try again in a few minutes.',
+        success: 'Thank you! We\'ll notify you as soon as the agenda is released.',
+        checkInbox: 'Almost there! Check your inbox to confirm your email address.',
+        boardCheckInbox: 'Almost there! Check your {board} inbox to confirm your email address.',
+        boardSuccess: 'Thank you! We\'ll send the agenda details to your {board} email as soon as they\'re available.',
+        educationalSuccess: 'Thank you! We\'ll send the agenda details to your educational email address as soon as they\'re available.',
+        alreadySubscribed: 'You\'re already on the list! We\'ll email you as soon as the agenda is released.'
+    },
+
+    // Per-field messages, keyed by the field names in FormValidator.SIGNUP_FIELDS
+    fields: {
+        firstName: {
+            required: 'First name is required',
+            invalid: 'Please enter your first name using letters only'
+        },
+        lastName: {
+            required: 'Last name is required',
+            invalid: 'Please enter your last name using letters only'
+        },
+        role: {
+            required: 'Please select your role',
+            invalid: 'Please select your role'
+        },
+        schoolBoard: {
+            required: 'School board is required'
+        },
+        phone: {
+            invalid: 'Please enter a valid 10-digit phone number'
+        },
+        consent: {
+            required: 'Please confirm that we can email you about Career Launch'
+        }
+    },
+
+    form: {
+        submitting: 'Submitting...'
+    },
+
+    // Per lifecycle phase (js/lifecycle.js): the submit label (build.js
+    // renders it into the page too), and success messages that replace the
+    // agenda-release wording in "validation"
+    phases: {
+        'pre-agenda': {
+            submit: 'Sign Up'
+        },
+        agenda: {
+            submit: 'Get the Agenda',
+            messages: {
+                success: 'Thank you! We\'ll email you the agenda and how your class can join.',
+                boardSuccess: 'Thank you! We\'ll send the agenda to your {board} email.',
+                educationalSuccess: 'Thank you! We\'ll send the agenda to your educational email address.',
+                alreadySubscribed: 'You\'re already on the list! Watch your inbox for the agenda.'
+            }
+        },
+        live: {
+            submit: 'Get Session Links',
+            messages: {
+                success: 'Thank you! We\'ll email you the links to today\'s sessions.',
+                boardSuccess: 'Thank you! We\'ll send today\'s session links to your {board} email.',
+                educationalSuccess: 'Thank you! We\'ll send today\'s session links to your educational email address.',
+                alreadySubscribed: 'You\'re already on the list! Check your inbox for today\'s session links.'
+            }
+        },
+        'on-demand': {
+            submit: 'Get the Recordings',
+            messages: {
+                success: 'Thank you! We\'ll email you how to watch the recordings.',
+                boardSuccess: 'Thank you! We\'ll send the recordings to your {board} email.',
+                educationalSuccess: 'Thank you! We\'ll send the recordings to your educational email address.',
+                alreadySubscribed: 'You\'re already on the list! We\'ll email you how to watch the recordings.'
+            }
+        }
+    },
+
+    carousel: {
+        label: 'Continuous carousel showing diverse career professionals',
+        slide: 'Career professional {number} of {total}'
+    },
+
+    bento: {
+        detailsCard: 'Event details and information card',
+        videoCard: 'Educational video about career fairs',
+        videoTitle: 'OECD Career Fair Value Video'
+    },
+
+    // Screen readers hear the coarse status (days, then hours), not every tick
+    countdown: {
+        localTime: 'Your time: {time}',
+        days: 'days',
+        hours: 'hrs',
+        minutes: 'min',
+        seconds: 'sec',
+        startsInDays: 'Starts in {count} days',
+        startsInOneDay: 'Starts in 1 day',
+        startsInHours: 'Starts in {count} hours',
+        startsInOneHour: 'Starts in 1 hour',
+        startsSoon: 'Starts in less than an hour',
+        started: 'The event has started'
+    },
+
+    footer: {
+        label: 'Site footer with contact information',
+        emailLink: 'Send email to {email}',
+        websiteLink: 'Visit myBlueprint website (opens in new tab)'
+    },
+
+    app: {
+        unsupportedBrowser: 'Your browser is not supported. Please update to a modern browser.'
+    }
+};
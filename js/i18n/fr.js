@@ -0,0 +1,129 @@
+/**
+ * myBlueprint Career Launch - French Messages
+ * Strings the scripts show at runtime. Page copy is in locales/fr.json
+ * (rendered by build.js). Keep the keys in step with js/i18n/en.js.
+ * French punctuation (? ! :) takes a non-breaking space (\u00a0) before it.
+ */
+
+export default {
+    validation: {
+        required: 'L\'adresse courriel est obligatoire',
+        invalidEmail: 'Veuillez entrer une adresse courriel valide',
+        fieldRequired: 'Ce champ est obligatoire',
+        fieldInvalid: 'Veuillez vérifier ce champ',
+        tooLong: 'Veuillez utiliser {max} caractères ou moins',
+        suggestion: 'Vouliez-vous dire {suggestion}\u00a0?',
+        disposableBlocked: 'Veuillez utiliser une adresse courriel permanente, comme celle de votre conseil scolaire',
+        disposableWarning: 'Les boîtes de réception temporaires expirent et vous pourriez manquer l\'horaire. L\'adresse de votre conseil scolaire est idéale.',
+        roleBlocked: 'Veuillez utiliser votre propre adresse courriel plutôt qu\'une boîte partagée',
+        roleWarning: 'Les boîtes partagées comme celle-ci manquent souvent les mises à jour. Votre propre adresse courriel est idéale.',
+        networkError: 'Erreur réseau. Veuillez vérifier votre connexion et réessayer.',
+        timeoutError: 'La demande a expiré. Veuillez réessayer.',
+        queued: 'Vous semblez être hors ligne. Nous terminerons votre inscription dès votre retour en ligne.',
+        serverQueued: 'Notre service d\'inscription ne répond pas pour le moment. Nous avons conservé vos renseignements et terminerons votre inscription lors de votre prochaine visite.',
+        serverError: 'Un problème est survenu. Veuillez réessayer plus tard.',
+        rateLimited: 'Nous venons de recevoir beaucoup d\'inscriptions de votre réseau ou de cette adresse courriel. Veuillez réessayer dans quelques minutes.',
+        success: 'Merci\u00a0! Nous vous aviserons dès que l\'horaire sera publié.',
+        checkInbox: 'Presque terminé\u00a0! Consultez votre boîte de réception pour confirmer votre adresse courriel.',
+        boardCheckInbox: 'Presque terminé\u00a0! Consultez votre boîte de réception {board} pour confirmer votre adresse courriel.',
+        boardSuccess: 'Merci\u00a0! Nous enverrons les détails de l\'horaire à votre adresse courriel {board} dès qu\'ils seront disponibles.',
+        educationalSuccess: 'Merci\u00a0! Nous enverrons les détails de l\'horaire à votre adresse courriel scolaire dès qu\'ils seront disponibles.',
+        alreadySubscribed: 'Vous êtes déjà inscrit\u00a0! Nous vous écrirons dès que l\'horaire sera publié.'
+    },
+
+    fields: {
+        firstName: {
+            required: 'Le prénom est obligatoire',
+            invalid: 'Veuillez entrer votre prénom en lettres seulement'
+        },
+        lastName: {
+            required: 'Le nom de famille est obligatoire',
+            invalid: 'Veuillez entrer votre nom de famille en lettres seulement'
+        },
+        role: {
+            required: 'Veuillez choisir votre rôle',
+            invalid: 'Veuillez choisir votre rôle'
+        },
+        schoolBoard: {
+            required: 'Le conseil scolaire est obligatoire'
+        },
+        phone: {
+            invalid: 'Veuillez entrer un numéro de téléphone valide à 10 chiffres'
+        },
+        consent: {
+            required: 'Veuillez confirmer que nous pouvons vous écrire au sujet de Career Launch'
+        }
+    },
+
+    form: {
+        submitting: 'Envoi en cours...'
+    },
+
+    phases: {
+        'pre-agenda': {
+            submit: 'M\'inscrire'
+        },
+        agenda: {
+            submit: 'Recevoir l\'horaire',
+            messages: {
+                success: 'Merci\u00a0! Nous vous enverrons l\'horaire et la façon d\'y participer avec votre classe.',
+                boardSuccess: 'Merci\u00a0! Nous enverrons l\'horaire à votre adresse courriel {board}.',
+                educationalSuccess: 'Merci\u00a0! Nous enverrons l\'horaire à votre adresse courriel scolaire.',
+                alreadySubscribed: 'Vous êtes déjà sur la liste\u00a0! Surveillez votre boîte de réception pour l\'horaire.'
+            }
+        },
+        live: {
+            submit: 'Recevoir les liens',
+            messages: {
+                success: 'Merci\u00a0! Nous vous enverrons les liens des séances d\'aujourd\'hui.',
+                boardSuccess: 'Merci\u00a0! Nous enverrons les liens des séances d\'aujourd\'hui à votre adresse courriel {board}.',
+                educationalSuccess: 'Merci\u00a0! Nous enverrons les liens des séances d\'aujourd\'hui à votre adresse courriel scolaire.',
+                alreadySubscribed: 'Vous êtes déjà sur la liste\u00a0! Les liens des séances d\'aujourd\'hui sont dans votre boîte de réception.'
+            }
+        },
+        'on-demand': {
+            submit: 'Recevoir les enregistrements',
+            messages: {
+                success: 'Merci\u00a0! Nous vous enverrons la façon de regarder les enregistrements.',
+                boardSuccess: 'Merci\u00a0! Nous enverrons les enregistrements à votre adresse courriel {board}.',
+                educationalSuccess: 'Merci\u00a0! Nous enverrons les enregistrements à votre adresse courriel scolaire.',
+                alreadySubscribed: 'Vous êtes déjà sur la liste\u00a0! Nous vous enverrons la façon de regarder les enregistrements.'
+            }
+        }
+    },
+
+    carousel: {
+        label: 'Carrousel continu présentant des professionnels de divers milieux',
+        slide: 'Professionnel {number} sur {total}'
+    },
+
+    bento: {
+        detailsCard: 'Carte des détails et de l\'information sur l\'événement',
+        videoCard: 'Vidéo éducative sur les salons de l\'emploi',
+        videoTitle: 'Vidéo de l\'OCDE sur la valeur des salons de l\'emploi'
+    },
+
+    countdown: {
+        localTime: 'Votre heure\u00a0: {time}',
+        days: 'jours',
+        hours: 'h',
+        minutes: 'min',
+        seconds: 's',
+        startsInDays: 'Commence dans {count} jours',
+        startsInOneDay: 'Commence dans 1 jour',
+        startsInHours: 'Commence dans {count} heures',
+        startsInOneHour: 'Commence dans 1 heure',
+        startsSoon: 'Commence dans moins d\'une heure',
+        started: 'L\'événement a commencé'
+    },
+
+    footer: {
+        label: 'Pied de page avec les coordonnées',
+        emailLink: 'Écrire à {email}',
+        websiteLink: 'Visiter le site de myBlueprint (s\'ouvre dans un nouvel onglet)'
+    },
+
+    app: {
+        unsupportedBrowser: 'Votre navigateur n\'est pas pris en charge. Veuillez passer à un navigateur récent.'
+    }
+};
@@ -0,0 +1,53 @@
+/**
+ * myBlueprint Career Launch - Event Lifecycle
+ * Which phase an event is in at a given moment: before the agenda is out,
+ * agenda released, live, then on demand. Shared by the page
+ * (js/components/lifecycle.js), build.js (the phase shown without
+ * JavaScript) and /api/subscribe (the lead's Lead_Source and Description).
+ */
+
+const PHASES = ['pre-agenda', 'agenda', 'live', 'on-demand'];
+
+class EventLifecycle {
+    /**
+     * @param {Object} schedule - { agendaReleasedAt, startsAt, endsAt } as ISO 8601 times (event.json)
+     */
+    constructor(schedule = {}) {
+        // When each phase after the first begins, in order. Missing or invalid
+        // times never arrive, so the event stays in the phase before them.
+        this.changes = [
+            { phase: 'agenda', at: new Date(schedule.agendaReleasedAt) },
+            { phase: 'live', at: new Date(schedule.startsAt) },
+            { phase: 'on-demand', at: new Date(schedule.endsAt) }
+        ];
+    }
+
+    /**
+     * @param {Date} now - Moment to check (defaults to the current time)
+     * @returns {string} - Phase id, e.g. "agenda"
+     */
+    getPhase(now = new Date()) {
+        return this.changes.reduce((phase, change) => (change.at <= now ? change.phase : phase), PHASES[0]);
+    }
+
+    /**
+     * @param {Date} now - Moment to check from
+     * @returns {Date|null} - When the next phase begins, or null once on demand
+     */
+    getNextChange(now = new Date()) {
+        const next = this.changes.find(change => change.at > now);
+        return next ? next.at : null;
+    }
+
+    /**
+     * @param {string} phase - Candidate phase id (e.g. from ?phase=)
+     * @returns {boolean}
+     */
+    static isPhase(phase) {
+        return PHASES.includes(phase);
+    }
+}
+
+EventLifecycle.PHASES = PHASES;
+
+export default EventLifecycle;
@@ -1,23 +1,48 @@
 /**
  * myBlueprint Career Launch - Main Application Orchestrator
- * Coordinates component initialization and global event handling
+ * Coordinates component initialization and global event handling.
+ * Entry point of the page bundle: build.js bundles it and everything it
+ * imports into js/app.js.
  */
 
+import config from './config.js';
+import I18n from './i18n.js';
+import FormValidator from './validation.js';
+import SignupQueue from './signup-queue.js';
+import HeroCarousel from './components/slider.js';
+import HeroForm from './components/hero.js';
+import BentoGrid from './components/bento.js';
+import Countdown from './components/countdown.js';
+import LifecycleController from './components/lifecycle.js';
+import Footer from './components/footer.js';
+import LanguageToggle from './components/language-toggle.js';
+
 class CareerLaunchApp {
     constructor() {
-        this.validator = new FormValidator();
+        // Build-time settings from js/config.js (generated by build.js)
+        this.config = config;
+        
+        // Strings in the page's language (<html lang>)
+        this.i18n = new I18n();
+        this.validator = new FormValidator(undefined, {
+            i18n: this.i18n,
+            emailPolicies: { disposable: config.disposableEmailPolicy, role: config.roleEmailPolicy }
+        });
+        this.signupQueue = new SignupQueue();
         
         // Component instances
         this.heroCarousel = null;
         this.heroForm = null;
+        this.lifecycle = null;
         this.bentoGrid = null;
+        this.countdown = null;
         this.footer = null;
+        this.languageToggle = null;
         
-        // Global configuration
+        // Signup endpoint configuration (Zoho credentials are held by /api/subscribe)
         this.zohoConfig = {
-            endpoint: process.env.ZOHO_ENDPOINT || 'https://api.zoho.com/crm/v2/Leads',
-            authToken: process.env.ZOHO_AUTH_TOKEN || '',
-            timeout: 10000
+            endpoint: this.config.signupEndpoint,
+            timeout: this.config.formTimeout
         };
 
         this.init();
@@ -50,7 +75,9 @@ class CareerLaunchApp {
         this.setupKeyboardNavigation();
         
         // Performance monitoring
-        this.trackPerformance();
+        if (this.config.enablePerformanceTracking !== false) {
+            this.trackPerformance();
+        }
     }
     
     /**
@@ -59,7 +86,7 @@ class CareerLaunchApp {
     initializeComponents() {
         try {
             // Initialize Hero Carousel
-            this.heroCarousel = new HeroCarousel();
+            this.heroCarousel = new HeroCarousel(this.i18n);
             console.log('Hero Carousel initialized:', this.heroCarousel.getState());
         } catch (error) {
             console.error('Hero Carousel initialization failed:', error);
@@ -67,27 +94,51 @@ class CareerLaunchApp {
         
         try {
             // Initialize Hero Form
-            this.heroForm = new HeroForm(this.validator, this.zohoConfig);
+            this.heroForm = new HeroForm(this.validator, this.zohoConfig, this.signupQueue);
             console.log('Hero Form initialized:', this.heroForm.getState());
         } catch (error) {
             console.error('Hero Form initialization failed:', error);
         }
         
+        try {
+            // Initialize Lifecycle (after the form, whose labels and messages it sets)
+            this.lifecycle = new LifecycleController(this.config.schedule, this.heroForm);
+            console.log('Lifecycle initialized:', this.lifecycle.getState());
+        } catch (error) {
+            console.error('Lifecycle initialization failed:', error);
+        }
+        
         try {
             // Initialize Bento Grid
-            this.bentoGrid = new BentoGrid();
+            this.bentoGrid = new BentoGrid(this.i18n);
             console.log('Bento Grid initialized:', this.bentoGrid.getState());
         } catch (error) {
             console.error('Bento Grid initialization failed:', error);
         }
         
+        try {
+            // Initialize Countdown
+            this.countdown = new Countdown(this.i18n);
+            console.log('Countdown initialized:', this.countdown.getState());
+        } catch (error) {
+            console.error('Countdown initialization failed:', error);
+        }
+        
         try {
             // Initialize Footer
-            this.footer = new Footer();
+            this.footer = new Footer(this.i18n);
             console.log('Footer initialized:', this.footer.getState());
         } catch (error) {
             console.error('Footer initialization failed:', error);
         }
+        
+        try {
+            // Initialize Language Toggle
+            this.languageToggle = new LanguageToggle();
+            console.log('Language Toggle initialized:', this.languageToggle.getState());
+        } catch (error) {
+            console.error('Language Toggle initialization failed:', error);
+        }
     }
 
     /**
@@ -95,14 +146,19 @@ class CareerLaunchApp {
      */
     getApplicationState() {
         return {
+            environment: this.config.environment || null,
+            locale: this.i18n?.locale || null,
             heroCarousel: this.heroCarousel?.getState(),
             heroForm: this.heroForm?.getState(),
+            lifecycle: this.lifecycle?.getState(),
             bentoGrid: this.bentoGrid?.getState(),
+            countdown: this.countdown?.getState(),
             footer: this.footer?.getState(),
+            languageToggle: this.languageToggle?.getState(),
             validator: !!this.validator,
+            signupQueue: this.signupQueue?.isAvailable() ?? false,
             zohoConfig: {
                 hasEndpoint: !!this.zohoConfig.endpoint,
-                hasAuthToken: !!this.zohoConfig.authToken,
                 timeout: this.zohoConfig.timeout
             }
         };
@@ -128,6 +184,14 @@ class CareerLaunchApp {
             console.warn('Error destroying Hero Form:', error);
         }
         
+        try {
+            if (this.lifecycle) {
+                this.lifecycle.destroy();
+            }
+        } catch (error) {
+            console.warn('Error destroying Lifecycle:', error);
+        }
+        
         try {
             if (this.bentoGrid) {
                 this.bentoGrid.destroy();
@@ -136,6 +200,14 @@ class CareerLaunchApp {
             console.warn('Error destroying Bento Grid:', error);
         }
         
+        try {
+            if (this.countdown) {
+                this.countdown.destroy();
+            }
+        } catch (error) {
+            console.warn('Error destroying Countdown:', error);
+        }
+        
         try {
             if (this.footer) {
                 this.footer.destroy();
@@ -144,12 +216,24 @@ class CareerLaunchApp {
             console.warn('Error destroying Footer:', error);
         }
         
+        try {
+            if (this.languageToggle) {
+                this.languageToggle.destroy();
+            }
+        } catch (error) {
+            console.warn('Error destroying Language Toggle:', error);
+        }
+        
         // Clear references
         this.heroCarousel = null;
         this.heroForm = null;
+        this.lifecycle = null;
         this.bentoGrid = null;
+        this.countdown = null;
         this.footer = null;
+        this.languageToggle = null;
         this.validator = null;
+        this.signupQueue = null;
     }
 
     /**
@@ -250,7 +334,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const messagesElement = document.getElementById('form-messages');
         if (messagesElement) {
             messagesElement.className = 'form-messages error show';
-            messagesElement.textContent = 'Your browser is not supported. Please update to a modern browser.';
+            messagesElement.textContent = new I18n().t('app.unsupportedBrowser');
         }
         return;
     }
@@ -276,4 +360,6 @@ document.addEventListener('DOMContentLoaded', () => {
             console.error('Complete initialization failure:', fallbackError);
         }
     }
-});
\ No newline at end of file
+});
+
+export default CareerLaunchApp;
@@ -0,0 +1,92 @@
+/**
+ * myBlueprint Career Launch - School Board Directory
+ * Maps school board email domains to the board's name and region.
+ * Add boards here; the email suggester and Zoho lead both read from it.
+ */
+
+const SCHOOL_BOARDS = [
+    // Ontario - English public and Catholic boards
+    { id: 'tdsb', name: 'Toronto District School Board', region: 'Toronto', province: 'ON', domains: ['tdsb.on.ca'] },
+    { id: 'tcdsb', name: 'Toronto Catholic District School Board', region: 'Toronto', province: 'ON', domains: ['tcdsb.org', 'tcdsb.ca'] },
+    { id: 'peelsb', name: 'Peel District School Board', region: 'Peel', province: 'ON', domains: ['peelsb.com'] },
+    { id: 'dpcdsb', name: 'Dufferin-Peel Catholic District School Board', region: 'Peel', province: 'ON', domains: ['dpcdsb.org'] },
+    { id: 'yrdsb', name: 'York Region District School Board', region: 'York', province: 'ON', domains: ['yrdsb.ca'] },
+    { id: 'ycdsb', name: 'York Catholic District School Board', region: 'York', province: 'ON', domains: ['ycdsb.ca'] },
+    { id: 'ddsb', name: 'Durham District School Board', region: 'Durham', province: 'ON', domains: ['ddsb.ca'] },
+    { id: 'dcdsb', name: 'Durham Catholic District School Board', region: 'Durham', province: 'ON', domains: ['dcdsb.ca'] },
+    { id: 'hdsb', name: 'Halton District School Board', region: 'Halton', province: 'ON', domains: ['hdsb.ca'] },
+    { id: 'hcdsb', name: 'Halton Catholic District School Board', region: 'Halton', province: 'ON', domains: ['hcdsb.org'] },
+    { id: 'hwdsb', name: 'Hamilton-Wentworth District School Board', region: 'Hamilton', province: 'ON', domains: ['hwdsb.on.ca'] },
+    { id: 'hwcdsb', name: 'Hamilton-Wentworth Catholic District School Board', region: 'Hamilton', province: 'ON', domains: ['hwcdsb.ca'] },
+    { id: 'dsbn', name: 'District School Board of Niagara', region: 'Niagara', province: 'ON', domains: ['dsbn.org'] },
+    { id: 'ncdsb', name: 'Niagara Catholic District School Board', region: 'Niagara', province: 'ON', domains: ['ncdsb.com'] },
+    { id: 'wrdsb', name: 'Waterloo Region District School Board', region: 'Waterloo', province: 'ON', domains: ['wrdsb.ca'] },
+    { id: 'wcdsb', name: 'Waterloo Catholic District School Board', region: 'Waterloo', province: 'ON', domains: ['wcdsb.ca'] },
+    { id: 'ugdsb', name: 'Upper Grand District School Board', region: 'Wellington-Dufferin', province: 'ON', domains: ['ugdsb.on.ca'] },
+    { id: 'tvdsb', name: 'Thames Valley District School Board', region: 'London', province: 'ON', domains: ['tvdsb.ca'] },
+    { id: 'ldcsb', name: 'London District Catholic School Board', region: 'London', province: 'ON', domains: ['ldcsb.ca'] },
+    { id: 'gecdsb', name: 'Greater Essex County District School Board', region: 'Windsor-Essex', province: 'ON', domains: ['publicboard.ca'] },
+    { id: 'wecdsb', name: 'Windsor-Essex Catholic District School Board', region: 'Windsor-Essex', province: 'ON', domains: ['wecdsb.on.ca'] },
+    { id: 'scdsb', name: 'Simcoe County District School Board', region: 'Simcoe', province: 'ON', domains: ['scdsb.on.ca'] },
+    { id: 'smcdsb', name: 'Simcoe Muskoka Catholic District School Board', region: 'Simcoe', province: 'ON', domains: ['smcdsb.on.ca'] },
+    { id: 'kprdsb', name: 'Kawartha Pine Ridge District School Board', region: 'Peterborough', province: 'ON', domains: ['kprdsb.ca'] },
+    { id: 'ocdsb', name: 'Ottawa-Carleton District School Board', region: 'Ottawa', province: 'ON', domains: ['ocdsb.ca'] },
+    { id: 'ocsb', name: 'Ottawa Catholic School Board', region: 'Ottawa', province: 'ON', domains: ['ocsb.ca'] },
+    { id: 'limestone', name: 'Limestone District School Board', region: 'Kingston', province: 'ON', domains: ['limestone.on.ca'] },
+    { id: 'rainbow', name: 'Rainbow District School Board', region: 'Sudbury', province: 'ON', domains: ['rainbowschools.ca'] },
+
+    // Ontario - French-language boards
+    { id: 'viamonde', name: 'Conseil scolaire Viamonde', region: 'Central and Southwestern Ontario', province: 'ON', domains: ['csviamonde.ca'] },
+    { id: 'cepeo', name: 'Conseil des écoles publiques de l\'Est de l\'Ontario', region: 'Eastern Ontario', province: 'ON', domains: ['cepeo.on.ca'] },
+    { id: 'cecce', name: 'Conseil des écoles catholiques du Centre-Est', region: 'Eastern Ontario', province: 'ON', domains: ['ecolecatholique.ca'] },
+
+    // Other Canadian boards
+    { id: 'vsb', name: 'Vancouver School Board', region: 'Vancouver', province: 'BC', domains: ['vsb.bc.ca'] },
+    { id: 'cbe', name: 'Calgary Board of Education', region: 'Calgary', province: 'AB', domains: ['cbe.ab.ca'] },
+    { id: 'epsb', name: 'Edmonton Public Schools', region: 'Edmonton', province: 'AB', domains: ['epsb.ca'] }
+];
+
+class SchoolBoardDirectory {
+    constructor(boards = SCHOOL_BOARDS) {
+        this.boards = boards;
+
+        // Index by domain for constant-time lookups
+        this.byDomain = new Map();
+        boards.forEach(board => {
+            board.domains.forEach(domain => this.byDomain.set(domain, board));
+        });
+    }
+
+    /**
+     * Finds the board for an email address or domain
+     * Subdomains match their parent (staff.tdsb.on.ca → TDSB)
+     * @param {string} emailOrDomain - Email address or bare domain
+     * @returns {Object|null} - Board record { id, name, region, province, domains }
+     */
+    lookup(emailOrDomain) {
+        if (typeof emailOrDomain !== 'string') return null;
+
+        let domain = emailOrDomain.trim().toLowerCase();
+        domain = domain.slice(domain.lastIndexOf('@') + 1);
+
+        while (domain.includes('.')) {
+            const board = this.byDomain.get(domain);
+            if (board) return board;
+            domain = domain.slice(domain.indexOf('.') + 1);
+        }
+
+        return null;
+    }
+
+    /**
+     * All known board domains (used by the email suggester)
+     * @returns {Array<string>}
+     */
+    getDomains() {
+        return Array.from(this.byDomain.keys());
+    }
+}
+
+SchoolBoardDirectory.SCHOOL_BOARDS = SCHOOL_BOARDS;
+
+export default SchoolBoardDirectory;
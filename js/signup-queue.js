@@ -0,0 +1,136 @@
+/**
+ * myBlueprint Career Launch - Offline Signup Queue
+ * Persists signups that could not be sent (offline, timeouts, server errors) and replays
+ * them when the connection comes back or on the next visit
+ */
+
+class SignupQueue {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'careerLaunch.signupQueue';
+        this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000; // 7 days
+        this.storage = options.storage !== undefined ? options.storage : this.getDefaultStorage();
+    }
+
+    /**
+     * Returns localStorage if it is usable (private mode and strict
+     * school-managed browsers can throw on access)
+     * @returns {Storage|null}
+     */
+    getDefaultStorage() {
+        try {
+            const storage = window.localStorage;
+            const probe = `${this.storageKey}.probe`;
+            storage.setItem(probe, '1');
+            storage.removeItem(probe);
+            return storage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether signups can be persisted in this browser
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return !!this.storage;
+    }
+
+    /**
+     * Reads queued entries, dropping any that have expired
+     * @returns {Array<Object>} - Entries of shape { email, data, queuedAt }
+     */
+    getEntries() {
+        if (!this.storage) return [];
+
+        let entries;
+        try {
+            entries = JSON.parse(this.storage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            entries = [];
+        }
+
+        const now = Date.now();
+        const fresh = entries.filter(entry => entry && entry.email && now - entry.queuedAt < this.ttl);
+
+        if (fresh.length !== entries.length) {
+            this.save(fresh);
+        }
+
+        return fresh;
+    }
+
+    save(entries) {
+        if (!this.storage) return;
+
+        try {
+            if (entries.length === 0) {
+                this.storage.removeItem(this.storageKey);
+            } else {
+                this.storage.setItem(this.storageKey, JSON.stringify(entries));
+            }
+        } catch (error) {
+            console.warn('Signup Queue: Failed to persist queue:', error);
+        }
+    }
+
+    /**
+     * Queues a signup, replacing any earlier entry for the same email
+     * @param {Object} data - Validated form data (must include email)
+     * @returns {boolean} - Whether the signup was stored
+     */
+    enqueue(data) {
+        if (!this.storage || !data || !data.email) return false;
+
+        const email = data.email.toLowerCase();
+        const entries = this.getEntries().filter(entry => entry.email !== email);
+        entries.push({ email, data, queuedAt: Date.now() });
+        this.save(entries);
+
+        return true;
+    }
+
+    remove(email) {
+        const normalizedEmail = (email || '').toLowerCase();
+        this.save(this.getEntries().filter(entry => entry.email !== normalizedEmail));
+    }
+
+    size() {
+        return this.getEntries().length;
+    }
+
+    /**
+     * Resubmits queued signups in order
+     * Stops at the first failure worth retrying (offline, timeout, server
+     * error); drops entries the server rejects as invalid
+     * @param {Function} submit - async (data) => result with success flag
+     * @param {Function} isRetryable - (error) => whether to keep the entry
+     * @returns {Promise<Object>} - { submitted: Array<Object>, remaining: number }
+     */
+    async flush(submit, isRetryable = () => true) {
+        const submitted = [];
+
+        for (const entry of this.getEntries()) {
+            try {
+                const result = await submit(entry.data);
+                if (!result || !result.success) {
+                    throw new Error((result && result.message) || 'Submission failed');
+                }
+
+                this.remove(entry.email);
+                submitted.push({ ...entry, result });
+            } catch (error) {
+                if (isRetryable(error)) {
+                    break;
+                }
+
+                console.warn(`Signup Queue: Dropping queued signup for ${entry.email}:`, error.message);
+                this.remove(entry.email);
+            }
+        }
+
+        return { submitted, remaining: this.size() };
+    }
+}
+
+export default SignupQueue;
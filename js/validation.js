@@ -1,27 +1,165 @@
 /**
  * myBlueprint Career Launch - Form Validation Module
- * Handles client-side email validation and form state management
+ * Handles schema-driven field validation and form state management
  */
 
+import SchoolBoardDirectory from './school-boards.js';
+import EmailSuggester from './email-suggester.js';
+import I18n from './i18n.js';
+
+/**
+ * Signup form field schema
+ * Each field maps a form control (by id) to its rules and the Zoho lead
+ * field it is sent as. Error messages are in the js/i18n/ catalogs, under
+ * fields.<name>. Shared by the browser form and /api/subscribe.
+ */
+const SIGNUP_FIELDS = [
+    {
+        name: 'firstName',
+        id: 'first-name',
+        label: 'First name',
+        required: true,
+        maxLength: 40,
+        pattern: 'name',
+        zohoField: 'First_Name'
+    },
+    {
+        name: 'lastName',
+        id: 'last-name',
+        label: 'Last name',
+        required: true,
+        maxLength: 80,
+        pattern: 'name',
+        zohoField: 'Last_Name'
+    },
+    {
+        name: 'role',
+        id: 'role',
+        type: 'select',
+        label: 'Role',
+        required: true,
+        options: [
+            { value: 'teacher', label: 'Teacher' },
+            { value: 'guidance', label: 'Guidance Counsellor' },
+            { value: 'administrator', label: 'Principal / Vice-Principal' },
+            { value: 'board-lead', label: 'School Board Lead' },
+            { value: 'other', label: 'Other' }
+        ],
+        zohoField: 'Designation'
+    },
+    {
+        name: 'schoolBoard',
+        id: 'school-board',
+        label: 'School board',
+        required: true,
+        maxLength: 100,
+        zohoField: 'Company'
+    },
+    {
+        name: 'email',
+        id: 'email',
+        type: 'email',
+        label: 'Email address',
+        required: true,
+        maxLength: 254,
+        zohoField: 'Email'
+    },
+    {
+        name: 'phone',
+        id: 'phone',
+        type: 'tel',
+        label: 'Phone',
+        required: false,
+        maxLength: 20,
+        pattern: 'phone',
+        zohoField: 'Phone'
+    },
+    {
+        // CASL express consent; the wording is versioned by getConsentVersion()
+        name: 'consent',
+        id: 'consent',
+        type: 'checkbox',
+        label: 'Email consent',
+        required: true
+    },
+    {
+        // The page's language rather than a form control (HeroForm adds it),
+        // so follow-up emails go out in the language the visitor signed up in
+        name: 'language',
+        label: 'Language',
+        required: false,
+        options: [
+            { value: 'en', label: 'English' },
+            { value: 'fr', label: 'French' }
+        ],
+        zohoField: 'Preferred_Language'
+    }
+];
+
+// Throwaway inbox providers; matched on the domain and its parent domains
+const DISPOSABLE_DOMAINS = [
+    'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', 'grr.la',
+    '10minutemail.com', '10minutemail.net', 'temp-mail.org', 'temp-mail.io', 'tempmail.com',
+    'tempmail.net', 'tempmailo.com', 'tmpmail.org', 'tempinbox.com', 'mytemp.email',
+    'throwawaymail.com', 'yopmail.com', 'yopmail.fr', 'getnada.com', 'nada.email',
+    'trashmail.com', 'trashmail.de', 'dispostable.com', 'discard.email', 'maildrop.cc',
+    'mailnesia.com', 'mailsac.com', 'mail.tm', 'mintemail.com', 'mohmal.com', 'moakt.com',
+    'emailondeck.com', 'emailfake.com', 'fakeinbox.com', 'fakemail.net', 'burnermail.io',
+    'spamgourmet.com', 'spambox.us', 'mailcatch.com', 'mailpoof.com', 'inboxkitten.com',
+    'getairmail.com', 'dropmail.me', 'harakirimail.com', 'jetable.org'
+];
+
+// Shared inboxes rather than a person; compared with dots, dashes and underscores removed
+const ROLE_ACCOUNTS = [
+    'admin', 'administrator', 'info', 'information', 'contact', 'office', 'mainoffice',
+    'general', 'enquiries', 'inquiries', 'hello', 'help', 'support', 'sales', 'marketing',
+    'noreply', 'donotreply', 'webmaster', 'postmaster', 'hostmaster', 'abuse', 'mail',
+    'reception', 'team', 'staff', 'hr', 'it', 'helpdesk', 'billing', 'accounts'
+];
+
 class FormValidator {
-    constructor() {
+    constructor(schema = SIGNUP_FIELDS, options = {}) {
+        this.schema = schema;
+        
+        // Messages in the page's language (js/i18n.js), or options.locale on the server
+        this.i18n = options.i18n || new I18n(options.locale);
+        
+        // School board lookup (js/school-boards.js)
+        this.directory = options.directory || new SchoolBoardDirectory();
+        
+        // "Did you mean…?" helper (js/email-suggester.js), which also
+        // corrects typos in known board domains
+        this.suggester = options.suggester || new EmailSuggester({
+            domains: EmailSuggester.DEFAULT_DOMAINS.concat(this.directory.getDomains())
+        });
+        
+        // 'block' rejects the address, 'warn' accepts it with a notice, 'allow' ignores it.
+        // Either way the lead is flagged so sales can filter these in Zoho.
+        // Unset (null) overrides, as js/config.js gives them, keep the default.
+        this.emailPolicies = { ...FormValidator.DEFAULT_EMAIL_POLICIES };
+        Object.entries(options.emailPolicies || {}).forEach(([check, policy]) => {
+            if (!policy) return;
+            if (['block', 'warn', 'allow'].includes(policy)) {
+                this.emailPolicies[check] = policy;
+            } else {
+                console.warn(`FormValidator: unknown ${check} email policy "${policy}", keeping "${this.emailPolicies[check]}"`);
+            }
+        });
+        
         this.patterns = {
-            email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+            email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            // Letters, spaces, hyphens, periods and apostrophes, straight or curly (’, as iOS types them)
+            name: /^[\p{L}][\p{L}'\u2019 .-]*$/u,
+            phone: /^\+?1?[\s.-]?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}$/
         };
         
-        this.messages = {
-            required: 'Email address is required',
-            invalidEmail: 'Please enter a valid email address',
-            networkError: 'Network error. Please check your connection and try again.',
-            serverError: 'Something went wrong. Please try again later.',
-            success: 'Thank you! We\'ll notify you as soon as the agenda is released.'
-        };
+        this.messages = this.i18n.section('validation');
     }
 
     /**
      * Validates email format
      * @param {string} email - Email address to validate
-     * @returns {Object} - Validation result with isValid and message
+     * @returns {Object} - Validation result with isValid, message, warning and flags
      */
     validateEmail(email) {
         // Check if email is provided
@@ -43,39 +181,270 @@ class FormValidator {
             };
         }
 
-        // Check for common typos in domains
-        const suspiciousDomains = [
-            'gmail.co', 'gmail.cm', 'gmai.com', 'gmial.com',
-            'yahoo.co', 'yahoo.cm', 'hotmail.co', 'hotmail.cm',
-            'outlook.co', 'outlook.cm'
-        ];
+        const flags = this.getEmailFlags(normalizedEmail);
+        let warning = '';
+
+        for (const check of ['disposable', 'role']) {
+            if (!flags[check]) continue;
+
+            const policy = this.emailPolicies[check];
+            if (policy === 'block') {
+                return {
+                    isValid: false,
+                    message: this.messages[`${check}Blocked`],
+                    flags
+                };
+            }
+            if (policy === 'warn' && !warning) {
+                warning = this.messages[`${check}Warning`];
+            }
+        }
+
+        // Possible domain typos are suggested, not blocked
+        const suggestion = this.suggester ? this.suggester.suggest(normalizedEmail) : null;
+
+        return {
+            isValid: true,
+            message: '',
+            warning,
+            flags,
+            email: normalizedEmail,
+            suggestion: suggestion ? suggestion.email : null
+        };
+    }
+
+    /**
+     * Detects throwaway domains and shared role inboxes (info@, noreply@)
+     * @param {string} email - Normalized email address
+     * @returns {Object} - { disposable, role }
+     */
+    getEmailFlags(email) {
+        const flags = { disposable: false, role: false };
+        if (typeof email !== 'string' || !email.includes('@')) return flags;
 
-        const domain = normalizedEmail.split('@')[1];
-        if (suspiciousDomains.includes(domain)) {
+        const atIndex = email.lastIndexOf('@');
+        const localPart = email.slice(0, atIndex).split('+')[0].replace(/[._-]/g, '');
+        let domain = email.slice(atIndex + 1);
+
+        flags.role = ROLE_ACCOUNTS.includes(localPart);
+
+        while (domain.includes('.')) {
+            if (DISPOSABLE_DOMAINS.includes(domain)) {
+                flags.disposable = true;
+                break;
+            }
+            domain = domain.slice(domain.indexOf('.') + 1);
+        }
+
+        return flags;
+    }
+
+    /**
+     * Looks up a field definition in the schema
+     * @param {string} name - Field name
+     * @returns {Object|undefined} - Field definition
+     */
+    getField(name) {
+        return this.schema.find(field => field.name === name);
+    }
+
+    /**
+     * Messages for one field: the catalog's fields.<name>, overridden by any
+     * messages set on the schema entry itself
+     * @param {Object} field - Field definition
+     * @returns {Object} - e.g. { required, invalid }
+     */
+    getFieldMessages(field) {
+        return { ...this.i18n.section(`fields.${field.name}`), ...field.messages };
+    }
+
+    /**
+     * Switches to a lifecycle phase's success messages (phases.<phase>.messages
+     * in the catalogs), e.g. "We'll send the recordings" once the event is over
+     * @param {string} phase - Phase id from js/lifecycle.js
+     */
+    setPhase(phase) {
+        this.messages = { ...this.i18n.section('validation'), ...this.i18n.section(`phases.${phase}.messages`) };
+    }
+
+    /**
+     * Validates a single field value against its schema rules
+     * @param {string} name - Field name
+     * @param {*} value - Raw field value
+     * @returns {Object} - Validation result with isValid, message and normalized value
+     */
+    validateField(name, value) {
+        const field = this.getField(name);
+        if (!field) {
+            return { isValid: false, message: this.messages.fieldInvalid };
+        }
+
+        const messages = this.getFieldMessages(field);
+
+        if (field.type === 'email') {
+            const email = typeof value === 'string' ? value : '';
+            // RFC 5321 limit; longer addresses are refused, not cut short
+            if (field.maxLength && email.trim().length > field.maxLength) {
+                return {
+                    isValid: false,
+                    message: messages.tooLong || this.messages.tooLong.replace('{max}', field.maxLength)
+                };
+            }
+
+            const result = this.validateEmail(email);
+            return { ...result, value: result.email };
+        }
+
+        if (field.type === 'checkbox') {
+            const checked = value === true || value === 'true' || value === 'on';
+            return checked || !field.required
+                ? { isValid: true, message: '', value: checked }
+                : { isValid: false, message: messages.required || this.messages.fieldRequired };
+        }
+
+        const normalized = typeof value === 'string' ? value.trim() : '';
+
+        if (!normalized) {
+            return field.required
+                ? { isValid: false, message: messages.required || this.messages.fieldRequired }
+                : { isValid: true, message: '', value: '' };
+        }
+
+        if (field.maxLength && normalized.length > field.maxLength) {
             return {
                 isValid: false,
-                message: 'Please check your email domain spelling'
+                message: messages.tooLong || this.messages.tooLong.replace('{max}', field.maxLength)
             };
         }
 
+        if (field.options && !field.options.some(option => option.value === normalized)) {
+            return { isValid: false, message: messages.invalid || this.messages.fieldInvalid };
+        }
+
+        if (field.pattern && !this.patterns[field.pattern].test(normalized)) {
+            return { isValid: false, message: messages.invalid || this.messages.fieldInvalid };
+        }
+
+        return { isValid: true, message: '', value: normalized };
+    }
+
+    /**
+     * Validates a plain data object against the whole schema (no DOM needed)
+     * @param {Object} data - Values keyed by field name
+     * @returns {Object} - { isValid, data, errors } where errors is keyed by field name
+     */
+    validateData(data = {}) {
+        const values = {};
+        const errors = {};
+
+        this.schema.forEach(field => {
+            const result = this.validateField(field.name, data[field.name]);
+            if (result.isValid) {
+                if (result.value !== '') values[field.name] = result.value;
+            } else {
+                errors[field.name] = result.message;
+            }
+        });
+
+        const isValid = Object.keys(errors).length === 0;
         return {
-            isValid: true,
-            message: '',
-            email: normalizedEmail
+            isValid,
+            data: isValid ? values : null,
+            errors
         };
     }
 
+    /**
+     * Maps validated data to Zoho lead fields using the schema
+     * A recognised board email overrides the typed school board, since
+     * free-text entries ("TDSB", "toronto district") don't group in reports.
+     * Disposable and role-address flags are always set so sales can filter on them.
+     * @param {Object} data - Validated values keyed by field name
+     * @returns {Object} - Values keyed by Zoho field API name
+     */
+    buildLeadFields(data) {
+        const lead = {};
+
+        this.schema.forEach(field => {
+            const value = data[field.name];
+            if (!field.zohoField || value === undefined || value === '') return;
+
+            // Send option labels, not internal values, for picklist-style fields
+            const option = field.options && field.options.find(opt => opt.value === value);
+            lead[field.zohoField] = option ? option.label : value;
+        });
+
+        const board = this.getSchoolBoard(data.email);
+        if (board) {
+            lead.Company = board.name;
+        }
+
+        if (data.email) {
+            const flags = this.getEmailFlags(data.email);
+            lead.Email_Disposable = flags.disposable;
+            lead.Email_Role_Account = flags.role;
+        }
+
+        return lead;
+    }
+
+    /**
+     * Reads a form control's current value
+     * @param {HTMLElement} input - Input or select element
+     * @returns {string}
+     */
+    getInputValue(input) {
+        if (!input) return '';
+        return input.type === 'checkbox' ? input.checked : input.value;
+    }
+
+    /**
+     * Attaches real-time validation to every schema field present in a form
+     * @param {HTMLFormElement} form - Form element
+     */
+    attachFormValidation(form) {
+        this.schema.filter(field => field.id).forEach(field => {
+            const input = form.querySelector(`#${field.id}`);
+            const errorElement = form.querySelector(`#${field.id}-error`);
+            const suggestionElement = form.querySelector(`#${field.id}-suggestion`);
+            const warningElement = form.querySelector(`#${field.id}-warning`);
+            if (input) {
+                this.attachRealTimeValidation(input, errorElement, field.name, suggestionElement, warningElement);
+            }
+        });
+    }
+
     /**
      * Real-time validation for input field
-     * @param {HTMLInputElement} input - Email input element
+     * @param {HTMLInputElement} input - Input element
      * @param {HTMLElement} errorElement - Error message element
+     * @param {string} fieldName - Schema field name (defaults to email)
+     * @param {HTMLElement} suggestionElement - Optional "Did you mean…?" container
+     * @param {HTMLElement} warningElement - Optional non-blocking notice container
      */
-    attachRealTimeValidation(input, errorElement) {
+    attachRealTimeValidation(input, errorElement, fieldName = 'email', suggestionElement = null, warningElement = null) {
         let validationTimeout;
+        const validate = () => {
+            const result = this.validateField(fieldName, this.getInputValue(input));
+            if (suggestionElement) {
+                this.displaySuggestion(suggestionElement, result.suggestion, input, fieldName);
+            }
+            this.displayWarning(warningElement, result.warning);
+            return result;
+        };
+
+        // Selects and checkboxes have no typing phase: validate as soon as the choice changes
+        if (input.tagName === 'SELECT' || input.type === 'checkbox') {
+            input.addEventListener('change', () => {
+                const result = validate();
+                this.displayError(errorElement, result.isValid ? '' : result.message);
+                this.updateInputState(input, result.isValid);
+            });
+        }
 
         // Validate on blur (when user leaves field)
         input.addEventListener('blur', () => {
-            const result = this.validateEmail(input.value);
+            const result = validate();
             this.displayError(errorElement, result.isValid ? '' : result.message);
             this.updateInputState(input, result.isValid);
         });
@@ -93,7 +462,7 @@ class FormValidator {
             // Validate after user stops typing
             validationTimeout = setTimeout(() => {
                 if (input.value.length > 3) { // Only validate if reasonable length
-                    const result = this.validateEmail(input.value);
+                    const result = validate();
                     if (!result.isValid) {
                         this.displayError(errorElement, result.message);
                         this.updateInputState(input, false);
@@ -112,6 +481,50 @@ class FormValidator {
         });
     }
 
+    /**
+     * Shows a one-click "Did you mean…?" correction below a field
+     * @param {HTMLElement} element - Suggestion container
+     * @param {string|null} suggestion - Suggested value, or null to clear
+     * @param {HTMLInputElement} input - Input the suggestion applies to
+     * @param {string} fieldName - Schema field name, to re-validate after applying
+     */
+    displaySuggestion(element, suggestion, input, fieldName = 'email') {
+        if (!element) return;
+
+        // Re-rendering on blur would swap the button out from under the click
+        if ((element.dataset.suggestion || '') === (suggestion || '')) return;
+
+        element.dataset.suggestion = suggestion || '';
+        element.textContent = '';
+        element.hidden = !suggestion;
+        if (!suggestion) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'form-suggestion-button';
+        button.textContent = suggestion;
+        button.addEventListener('click', () => {
+            input.value = suggestion;
+            this.displaySuggestion(element, null, input, fieldName);
+            this.updateInputState(input, this.validateField(fieldName, suggestion).isValid);
+            input.focus();
+        });
+
+        const [before, after] = this.messages.suggestion.split('{suggestion}');
+        element.append(before, button, after);
+    }
+
+    /**
+     * Shows a notice that doesn't block submission (e.g. shared inbox)
+     * @param {HTMLElement} element - Warning container
+     * @param {string} message - Warning text, or empty to clear
+     */
+    displayWarning(element, message) {
+        if (!element) return;
+        element.textContent = message || '';
+        element.hidden = !message;
+    }
+
     /**
      * Updates input visual state based on validation
      * @param {HTMLInputElement} input - Input element
@@ -152,69 +565,106 @@ class FormValidator {
      * @returns {Object} - Validation result
      */
     validateForm(form) {
-        const emailInput = form.querySelector('#email');
-        const emailResult = this.validateEmail(emailInput.value);
+        const formFields = this.schema.filter(field => field.id);
+        const values = {};
+        formFields.forEach(field => {
+            values[field.name] = this.getInputValue(form.querySelector(`#${field.id}`));
+        });
+
+        const result = this.validateData(values);
 
         // Update UI based on validation result
-        const errorElement = form.querySelector('#email-error');
-        this.displayError(errorElement, emailResult.isValid ? '' : emailResult.message);
-        this.updateInputState(emailInput, emailResult.isValid);
+        formFields.forEach(field => {
+            const input = form.querySelector(`#${field.id}`);
+            const message = result.errors[field.name] || '';
+            this.displayError(form.querySelector(`#${field.id}-error`), message);
+            if (input) this.updateInputState(input, !message);
+        });
 
         return {
-            isValid: emailResult.isValid,
-            data: emailResult.isValid ? { email: emailResult.email } : null,
-            message: emailResult.message
+            ...result,
+            message: Object.values(result.errors)[0] || ''
         };
     }
 
     /**
-     * Sanitizes email input to prevent XSS
-     * @param {string} email - Raw email input
-     * @returns {string} - Sanitized email
+     * Derives a version identifier from consent wording
+     * Any change to the text (beyond whitespace) produces a new version, so each
+     * lead records exactly which wording it agreed to
+     * @param {string} text - Consent text as shown to the user
+     * @returns {string} - Version such as "c1a2b3c4d"
      */
-    sanitizeEmail(email) {
-        if (typeof email !== 'string') return '';
-        
-        return email
-            .trim()
-            .toLowerCase()
-            .replace(/[<>\"'&]/g, '') // Remove potential XSS characters
-            .substring(0, 254); // Limit email length (RFC 5321 limit)
+    getConsentVersion(text) {
+        const normalized = (text || '').replace(/\s+/g, ' ').trim();
+
+        // FNV-1a 32-bit hash: small, synchronous and identical in browser and Node
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < normalized.length; i++) {
+            hash ^= normalized.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+
+        return 'c' + hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Looks up the school board an email address belongs to
+     * @param {string} email - Email address
+     * @returns {Object|null} - Board record from the directory, or null
+     */
+    getSchoolBoard(email) {
+        return this.directory ? this.directory.lookup(email) : null;
     }
 
     /**
-     * Checks if email domain appears to be educational
+     * Checks if email domain is educational: a known school board, or an
+     * academic suffix (.edu, .edu.au, .ac.uk, .k12.ny.us)
      * @param {string} email - Email address
-     * @returns {boolean} - Whether domain appears educational
+     * @returns {boolean} - Whether domain is educational
      */
     isEducationalEmail(email) {
-        const eduDomains = [
-            '.edu', '.ac.', '.edu.', 
-            'school', 'college', 'university',
-            'board', 'district'
-        ];
-        
-        const normalizedEmail = email.toLowerCase();
-        return eduDomains.some(domain => normalizedEmail.includes(domain));
+        if (typeof email !== 'string') return false;
+        if (this.getSchoolBoard(email)) return true;
+
+        const domain = email.trim().toLowerCase().split('@').pop();
+        return /(^|\.)(edu|k12\.[a-z]{2}\.us)$/.test(domain)
+            || /\.(edu|ac)\.[a-z]{2}$/.test(domain);
     }
 
     /**
      * Provides friendly success message based on email type
      * @param {string} email - Validated email address
+     * @param {Object} result - Signup response ({ pending, duplicate })
      * @returns {string} - Personalized success message
      */
-    getSuccessMessage(email) {
+    getSuccessMessage(email, result = {}) {
+        if (result.duplicate) {
+            return this.messages.alreadySubscribed;
+        }
+
+        const board = this.getSchoolBoard(email);
+        if (result.pending) {
+            return board
+                ? this.messages.boardCheckInbox.replace('{board}', board.name)
+                : this.messages.checkInbox;
+        }
+
+        if (board) {
+            return this.messages.boardSuccess.replace('{board}', board.name);
+        }
         if (this.isEducationalEmail(email)) {
-            return 'Thank you! We\'ll send the agenda details to your educational email address as soon as they\'re available.';
+            return this.messages.educationalSuccess;
         }
         return this.messages.success;
     }
 }
 
-// Export for use in main.js
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = FormValidator;
-} else {
-    // Make available globally for browser use
-    window.FormValidator = FormValidator;
-}
\ No newline at end of file
+FormValidator.SIGNUP_FIELDS = SIGNUP_FIELDS;
+FormValidator.DISPOSABLE_DOMAINS = DISPOSABLE_DOMAINS;
+FormValidator.ROLE_ACCOUNTS = ROLE_ACCOUNTS;
+FormValidator.DEFAULT_EMAIL_POLICIES = {
+    disposable: 'block',
+    role: 'warn'
+};
+
+export default FormValidator;
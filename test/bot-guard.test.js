@@ -0,0 +1,63 @@
+/**
+ * BotGuard checks for /api/subscribe
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BotGuard = require('../api/_lib/bot-guard.js');
+const RateLimiter = require('../api/_lib/rate-limiter.js');
+
+function request(ip = '203.0.113.7') {
+    return { headers: { 'x-forwarded-for': `${ip}, 10.0.0.1` }, socket: {} };
+}
+
+const human = { website: '', elapsedMs: 12000 };
+
+test('lets a human signup through', () => {
+    assert.deepEqual(new BotGuard().inspect(request(), human), { allowed: true, reason: '' });
+});
+
+test('flags the honeypot and too-fast submissions as bots, not rate limits', () => {
+    const guard = new BotGuard();
+
+    const honeypot = guard.inspect(request(), { ...human, website: 'https://spam.example' });
+    assert.equal(honeypot.reason, 'honeypot');
+    assert.equal(honeypot.rateLimited, undefined);
+
+    const tooFast = guard.inspect(request(), { ...human, elapsedMs: 800 });
+    assert.equal(tooFast.reason, 'too-fast');
+    assert.equal(tooFast.rateLimited, undefined);
+});
+
+test('lets a staff room behind one address sign up together', () => {
+    const guard = new BotGuard();
+
+    for (let i = 0; i < 60; i++) {
+        assert.equal(guard.inspect(request(), human).allowed, true, `signup ${i + 1}`);
+    }
+});
+
+test('marks rate limits with when to retry', () => {
+    let now = 0;
+    const guard = new BotGuard({ ipLimiter: new RateLimiter({ limit: 1, windowMs: 60000, now: () => now }) });
+
+    guard.inspect(request(), human);
+    now = 15000;
+    assert.deepEqual(guard.inspect(request(), human), {
+        allowed: false,
+        reason: 'ip-rate-limit',
+        rateLimited: true,
+        retryAfterMs: 45000
+    });
+    assert.equal(guard.inspect(request('198.51.100.2'), human).allowed, true);
+});
+
+test('limits repeat signups for one email address', () => {
+    const guard = new BotGuard();
+
+    [1, 2, 3].forEach(() => assert.equal(guard.inspectEmail('jo@example.ca').allowed, true));
+    const result = guard.inspectEmail('jo@example.ca');
+    assert.equal(result.reason, 'email-rate-limit');
+    assert.equal(result.rateLimited, true);
+    assert.ok(result.retryAfterMs > 0);
+});
@@ -0,0 +1,376 @@
+/**
+ * BuildOptimizer steps (build.js), run against small fixture trees
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const sharp = require('sharp');
+const BuildOptimizer = require('../build.js');
+const { PUBLIC_SETTINGS } = require('../config/index.js');
+const { loadEvent } = require('../config/events.js');
+
+const fixtures = [];
+
+after(() => {
+    fixtures.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * Writes files into a fresh temporary directory
+ * @param {Object} files - Contents keyed by path
+ * @returns {string} - The directory
+ */
+function fixture(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'career-launch-build-'));
+    fixtures.push(dir);
+    Object.entries(files).forEach(([file, content]) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+    });
+    return dir;
+}
+
+/**
+ * @param {Object} files - Source files keyed by path
+ * @returns {BuildOptimizer} - Builder reading its partials from a fixture tree
+ */
+function createBuilder(files = {}) {
+    const builder = new BuildOptimizer();
+    builder.sourceDir = fixture(files);
+    return builder;
+}
+
+test('includes partials inside partials, indented like their directive', async () => {
+    const builder = createBuilder({
+        'components/hero.html': '<section>\n    <!-- @include components/form.html -->\n</section>\n',
+        'components/form.html': '<form>\n    <!-- @include components/button.html -->\n</form>\n',
+        'components/button.html': '<button>{{ event.name }}</button>\n'
+    });
+
+    const html = await builder.assembleComponents(
+        '<main>\n    <!-- @include components/hero.html -->\n</main>',
+        'index.html',
+        [],
+        { event: { name: 'Career Launch' } }
+    );
+
+    assert.equal(html, [
+        '<main>',
+        '    <section>',
+        '        <form>',
+        '            <button>Career Launch</button>',
+        '        </form>',
+        '    </section>',
+        '</main>'
+    ].join('\n'));
+});
+
+test('renders an @each partial once per item', async () => {
+    const builder = createBuilder({ 'components/detail.html': '<li>{{ item.label }}</li>' });
+
+    const html = await builder.assembleComponents(
+        '<ul>\n<!-- @each event.details components/detail.html -->\n</ul>',
+        'index.html',
+        [],
+        { event: { details: [{ label: 'Date' }, { label: 'Place' }] } }
+    );
+
+    assert.equal(html, '<ul>\n<li>Date</li>\n<li>Place</li>\n</ul>');
+});
+
+test('refuses an include cycle, naming the chain', async () => {
+    const builder = createBuilder({
+        'components/a.html': '<!-- @include components/b.html -->',
+        'components/b.html': '<!-- @include components/a.html -->'
+    });
+
+    await assert.rejects(
+        builder.assembleComponents('<!-- @include components/a.html -->', 'index.html', [], {}),
+        { message: `Circular include: index.html → ${path.normalize('components/a.html')} → ${path.normalize('components/b.html')} → ${path.normalize('components/a.html')}` }
+    );
+});
+
+test('refuses a partial that includes itself', async () => {
+    const builder = createBuilder({ 'components/a.html': '<!-- @include components/a.html -->' });
+
+    await assert.rejects(
+        builder.assembleComponents('<!-- @include components/a.html -->', 'index.html', [], {}),
+        /Circular include/
+    );
+});
+
+test('names the file that includes a missing partial', async () => {
+    const builder = createBuilder({ 'components/hero.html': '<!-- @include components/missing.html -->' });
+
+    await assert.rejects(
+        builder.assembleComponents('<!-- @include components/hero.html -->', 'index.html', [], {}),
+        { message: `Missing partial "components/missing.html" included from ${path.normalize('components/hero.html')}` }
+    );
+});
+
+test('fails a production build missing a required setting before writing anything', async () => {
+    const siteUrl = process.env.SITE_URL;
+    delete process.env.SITE_URL;
+    const builder = createBuilder();
+    builder.environment = 'production';
+    builder.outputDir = path.join(builder.sourceDir, 'dist');
+
+    try {
+        await assert.rejects(builder.run(), /Missing required production setting\(s\): SITE_URL/);
+        assert.equal(fs.existsSync(builder.outputDir), false);
+    } finally {
+        if (siteUrl !== undefined) process.env.SITE_URL = siteUrl;
+    }
+});
+
+test('generates js/config.js with the public settings, event and schedule', async () => {
+    const builder = createBuilder();
+    builder.environment = 'development';
+    builder.loadConfig();
+    builder.useEvent(loadEvent('career-launch'));
+
+    const source = builder.renderRuntimeConfig();
+    const { default: config } = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+
+    assert.deepEqual(Object.keys(config), ['environment', ...PUBLIC_SETTINGS.map(setting => setting.key), 'event', 'schedule']);
+    assert.equal(config.environment, 'development');
+    assert.equal(config.signupEndpoint, '/api/subscribe');
+    assert.equal(config.confirmEndpoint, '/api/confirm');
+    assert.equal(config.event, 'career-launch');
+    assert.deepEqual(Object.keys(config.schedule), ['agendaReleasedAt', 'startsAt', 'endsAt']);
+    assert.ok(Object.isFrozen(config));
+});
+
+/**
+ * @param {Object} files - Built files keyed by path
+ * @returns {BuildOptimizer} - Builder whose build directory is a fixture tree
+ */
+function createSite(files) {
+    const builder = new BuildOptimizer();
+    builder.buildDir = fixture(files);
+    return builder;
+}
+
+const png = Buffer.from('89504e470d0a1a0a', 'hex');
+
+test('names assets after their content, the same on every build', async () => {
+    const first = createSite({ 'images/logo.png': png, 'js/app.js': 'start();\n' });
+    const second = createSite({ 'images/logo.png': png, 'js/app.js': 'start();\n' });
+
+    await first.hashAssets(['images', 'js']);
+    await second.hashAssets(['images', 'js']);
+
+    assert.match(first.manifest['images/logo.png'], /^images\/logo\.[0-9a-f]{8}\.png$/);
+    assert.match(first.manifest['js/app.js'], /^js\/app\.[0-9a-f]{8}\.js$/);
+    assert.deepEqual(second.manifest, first.manifest);
+    assert.ok(fs.existsSync(path.join(first.buildDir, first.manifest['images/logo.png'])));
+    assert.equal(fs.existsSync(path.join(first.buildDir, 'images/logo.png')), false);
+});
+
+test('gives an asset a new name when its content changes', async () => {
+    const before = createSite({ 'js/app.js': 'start();\n' });
+    const changed = createSite({ 'js/app.js': 'start(true);\n' });
+
+    await before.hashAssets(['js']);
+    await changed.hashAssets(['js']);
+
+    assert.notEqual(changed.manifest['js/app.js'], before.manifest['js/app.js']);
+});
+
+test('moves source maps with their file and re-points the file at them', async () => {
+    const builder = createSite({
+        'styles/main.css': 'body{margin:0}\n/*# sourceMappingURL=main.css.map */\n',
+        'styles/main.css.map': '{}'
+    });
+
+    await builder.hashAssets(['styles']);
+
+    const hashed = builder.manifest['styles/main.css'];
+    const css = fs.readFileSync(path.join(builder.buildDir, hashed), 'utf8');
+    assert.ok(css.includes(`sourceMappingURL=${path.posix.basename(hashed)}.map`));
+    assert.ok(fs.existsSync(path.join(builder.buildDir, `${hashed}.map`)));
+    assert.equal(builder.manifest['styles/main.css.map'], undefined);
+});
+
+test('rewrites references in HTML and CSS to the hashed names', async () => {
+    const builder = createSite({ 'images/logo.png': png, 'images/hero.png': png, 'styles/main.css': 'body{}' });
+    await builder.hashAssets(['images', 'styles']);
+    const { manifest } = builder;
+
+    const css = builder.rewriteAssetReferences(
+        '.hero { background: url("../images/hero.png"); }\n/* url(../images/old.png) */',
+        'styles',
+        'styles/main.css'
+    );
+    assert.equal(css, `.hero { background: url("../${manifest['images/hero.png']}"); }\n/* url(../images/old.png) */`);
+
+    const html = builder.rewriteAssetReferences([
+        '<link rel="stylesheet" href="styles/main.css?v=2">',
+        '<img src="images/logo.png" srcset="images/logo.png 1x, /images/hero.png 2x">',
+        '<a href="https://example.ca/images/logo.png">Logo</a><a href="#form">Sign up</a>'
+    ].join(''), '', 'index.html');
+    assert.equal(html, [
+        `<link rel="stylesheet" href="${manifest['styles/main.css']}?v=2">`,
+        `<img src="${manifest['images/logo.png']}" srcset="${manifest['images/logo.png']} 1x, /${manifest['images/hero.png']} 2x">`,
+        '<a href="https://example.ca/images/logo.png">Logo</a><a href="#form">Sign up</a>'
+    ].join(''));
+
+    // Pages under fr/ reach the hashed files through ../
+    assert.equal(
+        builder.rewriteAssetReferences('<img src="../images/logo.png">', 'fr', 'fr/index.html'),
+        `<img src="../${manifest['images/logo.png']}">`
+    );
+});
+
+test('refuses a reference to an image the build doesn\'t have', () => {
+    const builder = createSite({ 'images/logo.png': png });
+
+    assert.throws(
+        () => builder.rewriteAssetReferences('<img src="images/missing.png">', '', 'index.html'),
+        /Missing image "images\/missing\.png" referenced in index\.html/
+    );
+});
+
+test('writes every renamed asset to asset-manifest.json', async () => {
+    const builder = createSite({ 'images/logo.png': png, 'js/app.js': 'start();\n' });
+    await builder.hashAssets(['images', 'js']);
+    await builder.writeAssetManifest();
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(builder.buildDir, 'asset-manifest.json'), 'utf8'));
+    assert.deepEqual(Object.keys(manifest).sort(), ['images/logo.png', 'js/app.js']);
+    assert.deepEqual(manifest, builder.manifest);
+});
+
+test('serves raster images as <picture> with AVIF and WebP variants', async () => {
+    const dir = fixture({});
+    const builder = new BuildOptimizer();
+    builder.sourceDir = dir;
+    builder.buildDir = path.join(dir, 'dist');
+    builder.imageCacheDir = path.join(dir, 'cache');
+    fs.mkdirSync(path.join(dir, 'images'));
+    fs.mkdirSync(builder.imageCacheDir);
+    await sharp({ create: { width: 700, height: 350, channels: 3, background: '#0092ff' } })
+        .jpeg()
+        .toFile(path.join(dir, 'images', 'hero.jpg'));
+
+    // Variant paths are relative to the project root, as optimizeImages() passes them
+    const cwd = process.cwd();
+    process.chdir(dir);
+    try {
+        builder.images['images/hero.jpg'] = await builder.generateImageVariants('images/hero.jpg');
+    } finally {
+        process.chdir(cwd);
+    }
+
+    // Never upscaled past the 700px source
+    const image = builder.images['images/hero.jpg'];
+    assert.deepEqual([...new Set(image.variants.map(variant => variant.width))], [160, 320, 640]);
+    assert.ok(fs.existsSync(path.join(builder.buildDir, 'images', 'hero-640.avif')));
+
+    const html = builder.rewriteImages('<img src="images/hero.jpg" alt="Students" sizes="50vw" loading="lazy">', 'index.html');
+    const srcset = ext => [160, 320, 640].map(width => `images/hero-${width}.${ext} ${width}w`).join(', ');
+    assert.equal(html, '<picture>'
+        + `<source type="image/avif" srcset="${srcset('avif')}" sizes="50vw">`
+        + `<source type="image/webp" srcset="${srcset('webp')}" sizes="50vw">`
+        + `<img src="images/hero-640.jpg" alt="Students" sizes="50vw" loading="lazy" srcset="${srcset('jpg')}" width="640" height="320" decoding="async">`
+        + '</picture>');
+});
+
+test('leaves remote and unprocessed images alone, and refuses missing ones', () => {
+    const builder = createBuilder({ 'images/logo.svg': '<svg></svg>' });
+    const untouched = '<img src="https://example.ca/logo.png" alt=""><img src="images/logo.svg" alt="">';
+
+    assert.equal(builder.rewriteImages(untouched, 'index.html'), untouched);
+    assert.throws(() => builder.rewriteImages('<img src="images/missing.png">', 'index.html'), /Missing image "images\/missing\.png" referenced in index\.html/);
+});
+
+test('keeps only the rules the above-the-fold markup uses', () => {
+    const builder = new BuildOptimizer();
+    const tokens = builder.collectSelectorTokens('<section class="hero" id="signup"><h1 class="hero-title">Hi</h1><form></form></section>');
+    const css = [
+        '/* .footer { color: red } */',
+        'body { margin: 0; }',
+        '.hero, .footer { padding: 1rem; }',
+        '#signup .hero-title:hover { color: blue; }',
+        '.hero.show { opacity: 1; }',
+        'form input[type="email"] { width: 100%; }',
+        '@font-face { font-family: Inter; src: url(inter.woff2); }',
+        '@media (min-width: 768px) { .hero { display: flex; } .bento { display: grid; } }',
+        '@media print { .footer { display: none; } }',
+        '.hero-title { animation: rise 1s; }',
+        '@keyframes rise { from { opacity: 0; } }',
+        '@keyframes spin { to { transform: rotate(1turn); } }'
+    ].join('\n');
+
+    const critical = builder.extractCriticalCSS(css, tokens);
+
+    assert.equal(critical, [
+        'body{ margin: 0; }',
+        '.hero{ padding: 1rem; }',
+        '#signup .hero-title:hover{ color: blue; }',
+        '@font-face{ font-family: Inter; src: url(inter.woff2); }',
+        '@media (min-width: 768px){.hero{ display: flex; }}',
+        '.hero-title{ animation: rise 1s; }',
+        '@keyframes rise{ from { opacity: 0; } }'
+    ].join(''));
+});
+
+test('inlines the critical CSS and loads the rest without blocking render', async () => {
+    const dir = fixture({
+        'components/hero.html': '<section class="hero"><h1>Hi</h1></section>',
+        'styles/globals.css': 'body { margin: 0; }\n.footer { color: grey; }\n',
+        'styles/components/hero.css': '.hero { padding: 1rem; }\n.bento { display: grid; }\n'
+    });
+    const builder = new BuildOptimizer();
+    builder.sourceDir = dir;
+    builder.themeStylesheet = null;
+    builder.stylesheets = ['styles/globals.css', 'styles/components/hero.css'];
+    builder.criticalPartials = { 'index.html': ['components/hero.html'] };
+
+    const page = [
+        '<head>',
+        '    <link rel="stylesheet" href="https://fonts.example.com/inter.css">',
+        '    <link rel="stylesheet" href="styles/globals.css">',
+        '    <link rel="stylesheet" href="styles/components/hero.css">',
+        '    <link rel="icon" href="favicon.ico">',
+        '</head>'
+    ].join('\n');
+
+    // The stylesheet list is relative to the project root, as in a real build
+    const cwd = process.cwd();
+    process.chdir(dir);
+    let html;
+    try {
+        html = await builder.inlineCriticalCSS(page, 'index.html');
+    } finally {
+        process.chdir(cwd);
+    }
+
+    const preload = href => `<link rel="preload" href="${href}" as="style" onload="this.onload=null;this.rel='stylesheet'">`
+        + `<noscript><link rel="stylesheet" href="${href}"></noscript>`;
+    assert.equal(html, [
+        '<head>',
+        preload('https://fonts.example.com/inter.css')
+            + '<style>body{margin:0}.hero{padding:1rem}</style>'
+            + preload('styles/main.css')
+            + '    <link rel="icon" href="favicon.ico">',
+        '</head>'
+    ].join('\n'));
+
+    // Pages without critical partials keep their stylesheet links
+    assert.equal(await builder.inlineCriticalCSS(page, 'confirm.html'), page);
+});
+
+test('refuses a local stylesheet that isn\'t part of styles/main.css', async () => {
+    const builder = createBuilder({ 'components/hero.html': '<section class="hero"></section>' });
+    builder.stylesheets = [];
+    builder.criticalPartials = { 'index.html': ['components/hero.html'] };
+
+    await assert.rejects(
+        builder.inlineCriticalCSS('<link rel="stylesheet" href="styles/legacy.css">', 'index.html'),
+        /Stylesheet "styles\/legacy\.css" in index\.html is not part of styles\/main\.css/
+    );
+});
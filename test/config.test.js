@@ -0,0 +1,55 @@
+/**
+ * Build-time public settings (config/index.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PUBLIC_SETTINGS, loadConfig, loadEmailPolicies } = require('../config/index.js');
+
+// test/ has no .env files, so only the defaults and the env passed in count
+const rootDir = __dirname;
+
+test('refuses a production build without the settings it requires', () => {
+    assert.throws(
+        () => loadConfig({ environment: 'production', rootDir, env: { SIGNUP_ENDPOINT: ' ' } }),
+        { message: 'Missing required production setting(s): SIGNUP_ENDPOINT, SITE_URL' }
+    );
+
+    // Development has a localhost default
+    assert.equal(loadConfig({ environment: 'development', rootDir, env: {} }).siteUrl, 'http://localhost:3000');
+});
+
+test('types the settings and keeps everything else out', () => {
+    const config = loadConfig({
+        environment: 'production',
+        rootDir,
+        env: { SITE_URL: 'https://example.ca/', FORM_TIMEOUT: '5000', ZOHO_CLIENT_SECRET: 'secret' }
+    });
+
+    assert.deepEqual(Object.keys(config), ['environment', ...PUBLIC_SETTINGS.map(setting => setting.key)]);
+    assert.equal(config.siteUrl, 'https://example.ca');
+    assert.equal(config.formTimeout, 5000);
+    assert.equal(config.enablePerformanceTracking, false);
+    assert.ok(Object.isFrozen(config));
+    assert.doesNotMatch(JSON.stringify(config), /secret/);
+});
+
+test('uses the Vercel deployment URL for preview builds', () => {
+    assert.equal(loadConfig({ environment: 'preview', rootDir, env: { VERCEL_URL: 'career-launch-abc.vercel.app' } }).siteUrl, 'https://career-launch-abc.vercel.app');
+});
+
+test('reads the email policies, null when unset', () => {
+    assert.deepEqual(loadEmailPolicies({ rootDir, env: {} }), { disposable: null, role: null });
+    assert.deepEqual(
+        loadEmailPolicies({ rootDir, env: { DISPOSABLE_EMAIL_POLICY: 'warn', ROLE_EMAIL_POLICY: ' block ' } }),
+        { disposable: 'warn', role: 'block' }
+    );
+
+    const config = loadConfig({ rootDir, env: { ROLE_EMAIL_POLICY: 'allow' } });
+    assert.equal(config.roleEmailPolicy, 'allow');
+    assert.equal(config.disposableEmailPolicy, null);
+});
+
+test('refuses an unknown email policy', () => {
+    assert.throws(() => loadEmailPolicies({ rootDir, env: { ROLE_EMAIL_POLICY: 'reject' } }), /ROLE_EMAIL_POLICY must be block, warn, allow/);
+});
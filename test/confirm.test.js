@@ -0,0 +1,124 @@
+/**
+ * POST /api/confirm against a stubbed Zoho client
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SIGNUP_TOKEN_SECRET = 'x'.repeat(32);
+
+const ZohoClient = require('../api/_lib/zoho-client.js');
+const SignupTokenSigner = require('../api/_lib/signup-token.js');
+
+// Leads by email, and the upserts the route made
+let leads;
+let upserts;
+ZohoClient.prototype.findLeadByEmail = async email => leads[email] || null;
+ZohoClient.prototype.upsertLead = async (data, event, phase, existingLead) => {
+    upserts.push({ data, event, phase, existingLead });
+    leads[data.Email] = { ...existingLead, ...data, id: existingLead ? existingLead.id : '42' };
+    return { success: true, id: leads[data.Email].id, duplicate: !!existingLead };
+};
+
+const confirm = require('../api/confirm.js');
+const signer = new SignupTokenSigner();
+
+const lead = { First_Name: 'Jo', Last_Name: 'Smith', Email: 'jo@example.ca', Consent_Version: 'c1234abcd' };
+
+beforeEach(() => {
+    leads = {};
+    upserts = [];
+});
+
+function token(overrides = {}) {
+    return signer.sign({ event: 'career-launch', locale: 'en', phase: 'agenda', lead, nonce: 'nonce-1', existing: false, ...overrides });
+}
+
+async function call(method, body) {
+    const res = {
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        end(payload) {
+            this.body = payload ? JSON.parse(payload) : undefined;
+        }
+    };
+    await confirm({ method, body, headers: {} }, res);
+    return res;
+}
+
+test('writes the lead from the link, confirmed', async () => {
+    const res = await call('POST', { token: token() });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { success: true, status: 'confirmed', phase: 'agenda' });
+    assert.equal(upserts.length, 1);
+    assert.equal(upserts[0].event.slug, 'career-launch');
+    assert.equal(upserts[0].phase, 'agenda');
+    assert.equal(upserts[0].existingLead, null);
+    assert.equal(upserts[0].data.Last_Name, 'Smith');
+    assert.equal(upserts[0].data.Consent_Version, 'c1234abcd');
+    assert.equal(upserts[0].data.Email_Confirmed, true);
+    assert.equal(upserts[0].data.Confirmation_Nonce, 'nonce-1');
+});
+
+test('updates a lead that was on the list before confirmation existed', async () => {
+    leads['jo@example.ca'] = { id: '7', Email: 'jo@example.ca', Email_Confirmed: false };
+    const res = await call('POST', { token: token({ existing: true }) });
+
+    assert.equal(res.body.status, 'updated');
+    assert.equal(upserts[0].existingLead.id, '7');
+});
+
+test('tells the page which phase the visitor signed up in', async () => {
+    const res = await call('POST', { token: token({ phase: 'live' }) });
+
+    assert.equal(res.body.phase, 'live');
+});
+
+test('writes nothing when the link is used again', async () => {
+    await call('POST', { token: token() });
+    const res = await call('POST', { token: token() });
+
+    assert.deepEqual(res.body, { success: true, status: 'confirmed', phase: 'agenda' });
+    assert.equal(upserts.length, 1);
+});
+
+test('refuses a second link once another one confirmed the address', async () => {
+    await call('POST', { token: token() });
+    const res = await call('POST', { token: token({ nonce: 'nonce-2', lead: { ...lead, Last_Name: 'Other' } }) });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.status, 'expired');
+    assert.equal(upserts.length, 1);
+    assert.equal(leads['jo@example.ca'].Last_Name, 'Smith');
+});
+
+test('refuses forged, missing and old-style tokens', async () => {
+    const [iv, , tag] = token().split('.');
+    const oldStyle = signer.sign({ event: 'career-launch', lead: '42', nonce: 'nonce-1' });
+
+    for (const body of [{ token: `${iv}.forged.${tag}` }, {}, { token: oldStyle }, { token: token({ event: 'no-such-event' }) }]) {
+        const res = await call('POST', body);
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.status, 'invalid');
+    }
+    assert.equal(upserts.length, 0);
+});
+
+test('reports an expired link', async () => {
+    const expired = new SignupTokenSigner({ ttl: 1000, now: () => 0 }).sign({ event: 'career-launch', lead, nonce: 'nonce-1' });
+    const res = await call('POST', { token: expired });
+
+    assert.equal(res.body.status, 'expired');
+    assert.equal(upserts.length, 0);
+});
+
+test('never confirms on GET, so link scanners can\'t', async () => {
+    const res = await call('GET');
+
+    assert.equal(res.statusCode, 303);
+    assert.equal(res.headers.Location, '/career-launch/confirm.html?status=expired');
+    assert.equal(upserts.length, 0);
+});
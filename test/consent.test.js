@@ -0,0 +1,92 @@
+/**
+ * CASL consent records checked by /api/subscribe
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildConsentFields, getConsentWordings } = require('../api/_lib/consent.js');
+const { loadEvent, localizeEvent } = require('../config/events.js');
+const { loadLocale, renderMessage } = require('../config/locales.js');
+
+const req = { headers: { 'user-agent': 'Header Agent' } };
+const event = loadEvent('career-launch');
+
+let validator;
+
+before(async () => {
+    const { default: FormValidator } = await import('../js/validation.js');
+    validator = new FormValidator();
+});
+
+// The wording the page renders into #consent-text, as HeroForm reads it
+function pageWording(locale) {
+    return renderMessage(loadLocale(locale).form.consent, { event: localizeEvent(event, locale) })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function record(overrides = {}) {
+    return {
+        version: validator.getConsentVersion(pageWording('en')),
+        timestamp: '2025-10-01T14:03:00.000Z',
+        pageUrl: 'https://careerlaunch.myblueprint.ca/career-launch/',
+        userAgent: 'Record Agent',
+        ...overrides
+    };
+}
+
+test('maps a consent record to the Zoho fields', () => {
+    assert.deepEqual(buildConsentFields(record(), req, validator, event), {
+        Email_Opt_Out: false,
+        Consent_Timestamp: '2025-10-01T14:03:00+00:00',
+        Consent_Version: validator.getConsentVersion(pageWording('en')),
+        Consent_Text: renderMessage(loadLocale('en').form.consent, { event }),
+        Consent_Page_URL: 'https://careerlaunch.myblueprint.ca/career-launch/',
+        Consent_User_Agent: 'Record Agent'
+    });
+});
+
+test('accepts the wording of every language the event is shown in', () => {
+    const wordings = getConsentWordings(event, validator);
+
+    ['en', 'fr'].forEach(locale => {
+        const version = validator.getConsentVersion(pageWording(locale));
+        assert.ok(wordings.has(version), locale);
+        assert.ok(buildConsentFields(record({ version }), req, validator, event), locale);
+    });
+});
+
+test('rejects wording the event never showed, even with a matching version', () => {
+    const text = 'Oui, myBlueprint peut m\'écrire au sujet de tout.';
+
+    assert.equal(buildConsentFields(record({ text, version: validator.getConsentVersion(text) }), req, validator, event), null);
+});
+
+test('records the server\'s wording, not the text the browser sent', () => {
+    const fields = buildConsentFields(record({ text: 'Something else entirely' }), req, validator, event);
+
+    assert.equal(fields.Consent_Text, renderMessage(loadLocale('en').form.consent, { event }));
+});
+
+test('rejects a missing record or version', () => {
+    assert.equal(buildConsentFields(null, req, validator, event), null);
+    assert.equal(buildConsentFields(record({ version: undefined }), req, validator, event), null);
+    assert.equal(buildConsentFields(record({ version: 'c00000000' }), req, validator, event), null);
+});
+
+test('replaces future and invalid timestamps with the current time', () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    [future, 'not a date'].forEach(timestamp => {
+        const fields = buildConsentFields(record({ timestamp }), req, validator, event);
+        const recordedAt = new Date(fields.Consent_Timestamp).getTime();
+        assert.ok(Math.abs(recordedAt - Date.now()) < 5000);
+    });
+});
+
+test('keeps only http(s) page URLs and falls back to the request user agent', () => {
+    const fields = buildConsentFields(record({ pageUrl: 'javascript:alert(1)', userAgent: undefined }), req, validator, event);
+
+    assert.equal(fields.Consent_Page_URL, '');
+    assert.equal(fields.Consent_User_Agent, 'Header Agent');
+});
@@ -0,0 +1,38 @@
+/**
+ * EmailSuggester "Did you mean…?" corrections (js/email-suggester.js)
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let suggester;
+
+before(async () => {
+    const { default: EmailSuggester } = await import('../js/email-suggester.js');
+    suggester = new EmailSuggester();
+});
+
+test('corrects common typos in provider domains', () => {
+    [
+        ['jo@gmial.com', 'jo@gmail.com'],
+        ['jo@hotmial.com', 'jo@hotmail.com'],
+        ['jo@yahooo.ca', 'jo@yahoo.ca'],
+        ['jo@outlok.com', 'jo@outlook.com'],
+        ['jo@hotmail.frr', 'jo@hotmail.fr'],
+        ['jo@videotrom.ca', 'jo@videotron.ca']
+    ].forEach(([typed, expected]) => {
+        assert.equal(suggester.suggest(typed)?.email, expected, typed);
+    });
+});
+
+test('leaves real provider domains alone', () => {
+    ['ymail.com', 'mail.com', 'hotmail.fr', 'yahoo.fr', 'live.fr', 'outlook.fr', 'videotron.ca', 'gmail.com'].forEach(domain => {
+        assert.equal(suggester.suggest(`jo@${domain}`), null, domain);
+    });
+});
+
+test('makes no guess between equally close domains', () => {
+    const boards = new suggester.constructor({ domains: ['hdsb.ca', 'ddsb.ca'] });
+
+    assert.equal(boards.suggest('jo@tdsb.ca'), null);
+});
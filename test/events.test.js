@@ -0,0 +1,107 @@
+/**
+ * Event definitions (config/events.js), loaded from a temporary events/ directory
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EVENT_PHASES, listEvents, loadEvent, localizeEvent } = require('../config/events.js');
+
+const sample = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'events', 'career-launch', 'event.json'), 'utf8'));
+
+let rootDir;
+
+beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'career-launch-events-'));
+});
+
+afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+function writeEvent(slug, overrides = {}) {
+    const dir = path.join(rootDir, 'events', slug);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'event.json'), JSON.stringify({ ...sample, ...overrides }));
+}
+
+test('loads an event with its slug and year', () => {
+    writeEvent('spring-expo');
+
+    const event = loadEvent('spring-expo', rootDir);
+    assert.equal(event.slug, 'spring-expo');
+    assert.equal(event.year, sample.startDate.slice(0, 4));
+    assert.equal(event.name, sample.name);
+});
+
+test('returns null for unknown and unsafe slugs', () => {
+    writeEvent('spring-expo');
+
+    assert.equal(loadEvent('autumn-expo', rootDir), null);
+    assert.equal(loadEvent('../spring-expo', rootDir), null);
+    assert.equal(loadEvent('Spring-Expo', rootDir), null);
+});
+
+test('the repo\'s own events are valid', () => {
+    assert.ok(listEvents().length > 0);
+});
+
+test('lists every event, sorted by slug', () => {
+    writeEvent('spring-expo');
+    writeEvent('career-launch');
+
+    assert.deepEqual(listEvents(rootDir).map(event => event.slug), ['career-launch', 'spring-expo']);
+});
+
+test('rejects missing fields', () => {
+    writeEvent('spring-expo', { contactEmail: '' });
+
+    assert.throws(() => loadEvent('spring-expo', rootDir), /Missing field\(s\).*contactEmail/);
+});
+
+test('rejects a start time without a UTC offset or on another day', () => {
+    writeEvent('no-offset', { startsAt: `${sample.startDate}T09:00:00` });
+    writeEvent('other-day', { startsAt: '2025-12-03T09:00:00-05:00' });
+
+    assert.throws(() => loadEvent('no-offset', rootDir), /startsAt/);
+    assert.throws(() => loadEvent('other-day', rootDir), /startsAt/);
+});
+
+test('rejects lifecycle times out of order', () => {
+    writeEvent('late-agenda', { agendaReleasedAt: '2025-12-05T09:00:00-05:00' });
+    writeEvent('ends-early', { endsAt: sample.startsAt });
+
+    assert.throws(() => loadEvent('late-agenda', rootDir), /agendaReleasedAt <= startsAt < endsAt/);
+    assert.throws(() => loadEvent('ends-early', rootDir), /agendaReleasedAt <= startsAt < endsAt/);
+});
+
+test('needs a lead source and description for every phase', () => {
+    const { live, ...phases } = sample.phases;
+    writeEvent('spring-expo', { phases });
+
+    assert.ok(EVENT_PHASES.includes('live'));
+    assert.throws(() => loadEvent('spring-expo', rootDir), /phases needs a leadSource and description for: live/);
+});
+
+test('rejects unknown time zones and unsafe theme values', () => {
+    writeEvent('bad-zone', { timeZone: 'Eastern' });
+    writeEvent('bad-theme', { theme: { 'primary-blue': 'red; background: url(x)' } });
+
+    assert.throws(() => loadEvent('bad-zone', rootDir), /timeZone/);
+    assert.throws(() => loadEvent('bad-theme', rootDir), /invalid theme value/);
+});
+
+test('applies a locale\'s translations over the event', () => {
+    const event = {
+        dateLabel: 'December 2, 2025',
+        portraits: [{ src: 'a.jpg', alt: 'A' }, { src: 'b.jpg', alt: 'B' }],
+        translations: { fr: { dateLabel: '2 décembre 2025', portraits: [{ alt: 'Ah' }] } }
+    };
+
+    const french = localizeEvent(event, 'fr');
+    assert.equal(french.dateLabel, '2 décembre 2025');
+    assert.deepEqual(french.portraits, [{ src: 'a.jpg', alt: 'Ah' }, { src: 'b.jpg', alt: 'B' }]);
+    assert.equal(localizeEvent(event, 'de'), event);
+});
@@ -0,0 +1,33 @@
+/**
+ * JSON request bodies for the /api routes (api/_lib/http.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+const { readJsonBody } = require('../api/_lib/http.js');
+
+function streamed(raw) {
+    return Object.assign(Readable.from([raw]), { headers: {} });
+}
+
+test('parses an object from the stream or a pre-parsed body', async () => {
+    assert.deepEqual(await readJsonBody(streamed('{"email":"jo@example.ca"}')), { email: 'jo@example.ca' });
+    assert.deepEqual(await readJsonBody({ body: { email: 'jo@example.ca' } }), { email: 'jo@example.ca' });
+    assert.deepEqual(await readJsonBody({ body: '{"email":"jo@example.ca"}' }), { email: 'jo@example.ca' });
+});
+
+test('treats a missing body as empty', async () => {
+    assert.deepEqual(await readJsonBody(streamed('')), {});
+});
+
+test('refuses JSON that is not an object', async () => {
+    for (const raw of ['null', '42', '"jo@example.ca"', '[{"email":"jo@example.ca"}]', 'true']) {
+        await assert.rejects(readJsonBody(streamed(raw)), /must be a JSON object/, raw);
+    }
+    await assert.rejects(readJsonBody({ body: [] }), /must be a JSON object/);
+});
+
+test('refuses malformed JSON', async () => {
+    await assert.rejects(readJsonBody(streamed('{"email":')), /must be valid JSON/);
+});
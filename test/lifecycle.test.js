@@ -0,0 +1,49 @@
+/**
+ * EventLifecycle phases (js/lifecycle.js, shared with the page)
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const schedule = {
+    agendaReleasedAt: '2025-11-12T09:00:00-05:00',
+    startsAt: '2025-12-02T09:00:00-05:00',
+    endsAt: '2025-12-02T15:30:00-05:00'
+};
+
+let EventLifecycle;
+
+before(async () => {
+    ({ default: EventLifecycle } = await import('../js/lifecycle.js'));
+});
+
+test('moves through the phases at each scheduled time', () => {
+    const lifecycle = new EventLifecycle(schedule);
+
+    assert.equal(lifecycle.getPhase(new Date('2025-11-12T13:59:59Z')), 'pre-agenda');
+    assert.equal(lifecycle.getPhase(new Date('2025-11-12T14:00:00Z')), 'agenda');
+    assert.equal(lifecycle.getPhase(new Date('2025-12-02T14:00:00Z')), 'live');
+    assert.equal(lifecycle.getPhase(new Date('2025-12-02T20:29:59Z')), 'live');
+    assert.equal(lifecycle.getPhase(new Date('2025-12-02T20:30:00Z')), 'on-demand');
+});
+
+test('reports when the next phase begins', () => {
+    const lifecycle = new EventLifecycle(schedule);
+
+    assert.equal(lifecycle.getNextChange(new Date('2025-11-01T00:00:00Z')).toISOString(), '2025-11-12T14:00:00.000Z');
+    assert.equal(lifecycle.getNextChange(new Date('2025-12-02T14:00:00Z')).toISOString(), '2025-12-02T20:30:00.000Z');
+    assert.equal(lifecycle.getNextChange(new Date('2025-12-03T00:00:00Z')), null);
+});
+
+test('stays before a missing or invalid time', () => {
+    const lifecycle = new EventLifecycle({ ...schedule, startsAt: 'soon', endsAt: undefined });
+
+    assert.equal(lifecycle.getPhase(new Date('2030-01-01T00:00:00Z')), 'agenda');
+    assert.equal(new EventLifecycle().getPhase(), 'pre-agenda');
+});
+
+test('recognizes phase ids', () => {
+    assert.deepEqual(EventLifecycle.PHASES, ['pre-agenda', 'agenda', 'live', 'on-demand']);
+    assert.equal(EventLifecycle.isPhase('live'), true);
+    assert.equal(EventLifecycle.isPhase('bogus'), false);
+});
@@ -0,0 +1,43 @@
+/**
+ * Confirmation email copy (api/_lib/mailer.js), with fetch stubbed
+ */
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Mailer = require('../api/_lib/mailer.js');
+
+const realFetch = global.fetch;
+let sent;
+
+beforeEach(() => {
+    sent = [];
+    global.fetch = async (url, options) => {
+        sent.push(JSON.parse(options.body));
+        return { ok: true, json: async () => ({}) };
+    };
+});
+
+after(() => {
+    global.fetch = realFetch;
+});
+
+const mailer = new Mailer({ token: 'token', fromAddress: 'events@example.ca' });
+const event = { name: 'Career Launch' };
+const recipient = { email: 'jo@example.ca', firstName: 'Jo' };
+
+test('promises what the signup phase offers', async () => {
+    await mailer.sendConfirmation(recipient, 'https://example.ca/confirm', event, 'en', 'pre-agenda');
+    await mailer.sendConfirmation(recipient, 'https://example.ca/confirm', event, 'en', 'live');
+    await mailer.sendConfirmation(recipient, 'https://example.ca/confirm', event, 'fr', 'on-demand');
+
+    assert.match(sent[0].textbody, /when the Career Launch agenda is released/);
+    assert.match(sent[1].textbody, /links to today's Career Launch sessions/);
+    assert.doesNotMatch(sent[1].textbody, /agenda/);
+    assert.match(sent[2].textbody, /enregistrements de Career Launch/);
+});
+
+test('falls back to the first phase\'s copy for an unknown phase', async () => {
+    await mailer.sendConfirmation(recipient, 'https://example.ca/confirm', event, 'en', 'encore');
+
+    assert.match(sent[0].textbody, /when the Career Launch agenda is released/);
+});
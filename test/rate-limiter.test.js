@@ -0,0 +1,56 @@
+/**
+ * RateLimiter fixed windows
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../api/_lib/rate-limiter.js');
+
+test('allows up to the limit within a window', () => {
+    const limiter = new RateLimiter({ limit: 3, windowMs: 1000, now: () => 0 });
+
+    assert.deepEqual([1, 2, 3, 4].map(() => limiter.hit('a')), [true, true, true, false]);
+});
+
+test('counts each key separately', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000, now: () => 0 });
+
+    assert.equal(limiter.hit('a'), true);
+    assert.equal(limiter.hit('b'), true);
+    assert.equal(limiter.hit('a'), false);
+});
+
+test('starts a new window once the old one ends', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000, now: () => now });
+
+    assert.equal(limiter.hit('a'), true);
+    now = 999;
+    assert.equal(limiter.hit('a'), false);
+    now = 1000;
+    assert.equal(limiter.hit('a'), true);
+});
+
+test('drops expired windows once it tracks too many keys', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000, maxKeys: 2, now: () => now });
+
+    limiter.hit('a');
+    limiter.hit('b');
+    now = 1000;
+    limiter.hit('c');
+
+    assert.deepEqual([...limiter.windows.keys()], ['c']);
+});
+
+test('reports how long until a key\'s window ends', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000, now: () => now });
+
+    assert.equal(limiter.getRetryAfterMs('a'), 0);
+    limiter.hit('a');
+    now = 400;
+    assert.equal(limiter.getRetryAfterMs('a'), 600);
+    now = 1400;
+    assert.equal(limiter.getRetryAfterMs('a'), 0);
+});
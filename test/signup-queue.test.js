@@ -0,0 +1,89 @@
+/**
+ * SignupQueue (js/signup-queue.js) with an in-memory stand-in for localStorage
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let SignupQueue;
+
+before(async () => {
+    ({ default: SignupQueue } = await import('../js/signup-queue.js'));
+});
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Same rule as HeroForm.isQueueableError for errors that carry a response status
+const isRetryable = error => !error.status || error.status >= 500;
+
+function failWith(status) {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    return error;
+}
+
+test('keeps one entry per email', () => {
+    const queue = new SignupQueue({ storage: createStorage() });
+
+    queue.enqueue({ email: 'Jo@example.ca', firstName: 'Jo' });
+    queue.enqueue({ email: 'jo@example.ca', firstName: 'Joanne' });
+
+    assert.deepEqual(queue.getEntries().map(entry => entry.data.firstName), ['Joanne']);
+});
+
+test('drops entries older than the time to live', () => {
+    const storage = createStorage();
+    const queue = new SignupQueue({ storage, ttl: 1000 });
+    storage.setItem(queue.storageKey, JSON.stringify([
+        { email: 'old@example.ca', data: {}, queuedAt: Date.now() - 2000 },
+        { email: 'new@example.ca', data: {}, queuedAt: Date.now() }
+    ]));
+
+    assert.deepEqual(queue.getEntries().map(entry => entry.email), ['new@example.ca']);
+});
+
+test('removes entries once they go through', async () => {
+    const queue = new SignupQueue({ storage: createStorage() });
+    queue.enqueue({ email: 'a@example.ca' });
+    queue.enqueue({ email: 'b@example.ca' });
+
+    const result = await queue.flush(async () => ({ success: true }), isRetryable);
+
+    assert.deepEqual(result.submitted.map(entry => entry.email), ['a@example.ca', 'b@example.ca']);
+    assert.equal(result.remaining, 0);
+});
+
+test('keeps entries after a server error or a network failure', async () => {
+    for (const error of [failWith(500), failWith(503), new TypeError('Failed to fetch')]) {
+        const queue = new SignupQueue({ storage: createStorage() });
+        queue.enqueue({ email: 'a@example.ca' });
+        queue.enqueue({ email: 'b@example.ca' });
+
+        const result = await queue.flush(async () => {
+            throw error;
+        }, isRetryable);
+
+        assert.equal(result.remaining, 2);
+    }
+});
+
+test('drops only the entries the server rejects as invalid', async () => {
+    const queue = new SignupQueue({ storage: createStorage() });
+    queue.enqueue({ email: 'invalid@example.ca' });
+    queue.enqueue({ email: 'valid@example.ca' });
+
+    const result = await queue.flush(async data => {
+        if (data.email === 'invalid@example.ca') throw failWith(400);
+        return { success: true };
+    }, isRetryable);
+
+    assert.deepEqual(result.submitted.map(entry => entry.email), ['valid@example.ca']);
+    assert.equal(result.remaining, 0);
+});
@@ -0,0 +1,67 @@
+/**
+ * SignupTokenSigner encryption and expiry
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SignupTokenSigner = require('../api/_lib/signup-token.js');
+
+const secret = 'x'.repeat(32);
+
+test('needs a secret of at least 32 characters', () => {
+    assert.equal(new SignupTokenSigner({ secret: 'short' }).isConfigured(), false);
+    assert.equal(new SignupTokenSigner({ secret }).isConfigured(), true);
+});
+
+test('verifies the record it sealed', () => {
+    const signer = new SignupTokenSigner({ secret });
+    const token = signer.sign({ event: 'career-launch', email: 'jo@example.ca' });
+
+    assert.deepEqual(signer.verify(token), {
+        valid: true,
+        expired: false,
+        record: { event: 'career-launch', email: 'jo@example.ca' }
+    });
+});
+
+test('keeps the record out of sight', () => {
+    const token = new SignupTokenSigner({ secret }).sign({ email: 'jo@example.ca' });
+
+    token.split('.').forEach(part => {
+        assert.doesNotMatch(Buffer.from(part, 'base64url').toString('latin1'), /jo@example/);
+    });
+});
+
+test('rejects a token with a changed ciphertext', () => {
+    const signer = new SignupTokenSigner({ secret });
+    const [iv, ciphertext, tag] = signer.sign({ email: 'jo@example.ca' }).split('.');
+    const bytes = Buffer.from(ciphertext, 'base64url');
+    bytes[0] ^= 1;
+
+    assert.equal(signer.verify(`${iv}.${bytes.toString('base64url')}.${tag}`).valid, false);
+});
+
+test('rejects a token sealed with another secret', () => {
+    const token = new SignupTokenSigner({ secret: 'y'.repeat(32) }).sign({ email: 'jo@example.ca' });
+
+    assert.equal(new SignupTokenSigner({ secret }).verify(token).valid, false);
+});
+
+test('rejects missing and malformed tokens', () => {
+    const signer = new SignupTokenSigner({ secret });
+
+    [undefined, null, '', 'no-dots', '..', 'a.b', 'a.b.c', 'a.b.c.d'].forEach(token => {
+        assert.deepEqual(signer.verify(token), { valid: false, expired: false, record: null });
+    });
+});
+
+test('reports expired tokens', () => {
+    let now = 0;
+    const signer = new SignupTokenSigner({ secret, ttl: 1000, now: () => now });
+    const token = signer.sign({ email: 'jo@example.ca' });
+
+    now = 1000;
+    assert.equal(signer.verify(token).valid, true);
+    now = 1001;
+    assert.deepEqual(signer.verify(token), { valid: false, expired: true, record: null });
+});
@@ -0,0 +1,129 @@
+/**
+ * POST /api/subscribe against a stubbed Zoho client and mailer
+ */
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SIGNUP_TOKEN_SECRET = 'x'.repeat(32);
+
+const ZohoClient = require('../api/_lib/zoho-client.js');
+const Mailer = require('../api/_lib/mailer.js');
+const SignupTokenSigner = require('../api/_lib/signup-token.js');
+const { loadEvent, localizeEvent } = require('../config/events.js');
+const { loadLocale, renderMessage } = require('../config/locales.js');
+
+// Leads by email, the Zoho writes and the emails sent
+let leads;
+let writes;
+let emails;
+ZohoClient.prototype.isConfigured = () => true;
+ZohoClient.prototype.findLeadByEmail = async email => leads[email] || null;
+ZohoClient.prototype.upsertLead = async (...args) => writes.push(args);
+ZohoClient.prototype.updateLead = async (...args) => writes.push(args);
+Mailer.prototype.sendConfirmation = async (recipient, confirmUrl, event, locale, phase) => {
+    emails.push({ recipient, confirmUrl, locale, phase });
+};
+
+const subscribe = require('../api/subscribe.js');
+const signer = new SignupTokenSigner();
+
+let consentVersion;
+
+before(async () => {
+    const { default: FormValidator } = await import('../js/validation.js');
+    const wording = renderMessage(loadLocale('en').form.consent, { event: localizeEvent(loadEvent('career-launch'), 'en') });
+    consentVersion = new FormValidator().getConsentVersion(wording.replace(/\s+/g, ' ').trim());
+});
+
+beforeEach(() => {
+    leads = {};
+    writes = [];
+    emails = [];
+});
+
+let requestCount = 0;
+
+async function call(overrides = {}) {
+    requestCount += 1;
+    const body = {
+        event: 'career-launch',
+        language: 'en',
+        firstName: 'Jo',
+        lastName: 'Smith',
+        role: 'teacher',
+        schoolBoard: 'Toronto District School Board',
+        email: `jo${requestCount}@example.ca`,
+        consent: true,
+        consentRecord: { version: consentVersion, timestamp: new Date().toISOString(), pageUrl: 'https://example.ca/career-launch/' },
+        elapsedMs: 8000,
+        website: '',
+        ...overrides
+    };
+    const res = {
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        end(payload) {
+            this.body = JSON.parse(payload);
+        }
+    };
+    await subscribe({ method: 'POST', body, headers: { 'x-forwarded-for': `198.51.100.${requestCount}` }, socket: {} }, res);
+    return res;
+}
+
+test('emails a link carrying the lead, and writes nothing to Zoho yet', async () => {
+    const res = await call({ email: 'Jo.Smith@Example.ca' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { success: true, pending: true });
+    assert.equal(writes.length, 0);
+    assert.equal(emails.length, 1);
+    assert.equal(emails[0].recipient.email, 'jo.smith@example.ca');
+
+    const [, token] = emails[0].confirmUrl.split('#token=');
+    assert.doesNotMatch(decodeURIComponent(token), /smith/i);
+
+    const { record } = signer.verify(decodeURIComponent(token));
+    assert.equal(record.lead.Email, 'jo.smith@example.ca');
+    assert.equal(record.lead.Last_Name, 'Smith');
+    assert.equal(record.lead.Consent_Version, consentVersion);
+    assert.equal(record.existing, false);
+    assert.ok(record.nonce);
+});
+
+test('leaves someone else\'s unconfirmed lead as it is', async () => {
+    leads['jo.smith@example.ca'] = { id: '7', Email: 'jo.smith@example.ca', Last_Name: 'Smith', Email_Confirmed: false };
+    await call({ email: 'jo.smith@example.ca', lastName: 'Impostor' });
+
+    assert.equal(writes.length, 0);
+    const { record } = signer.verify(decodeURIComponent(emails[0].confirmUrl.split('#token=')[1]));
+    assert.equal(record.existing, true);
+});
+
+test('sends no email to an address that is already confirmed', async () => {
+    leads['jo.smith@example.ca'] = { id: '7', Email: 'jo.smith@example.ca', Email_Confirmed: true };
+    const res = await call({ email: 'jo.smith@example.ca' });
+
+    assert.deepEqual(res.body, { success: true, duplicate: true });
+    assert.equal(emails.length, 0);
+    assert.equal(writes.length, 0);
+});
+
+test('enforces the configured email policies, not only in the browser', async () => {
+    process.env.ROLE_EMAIL_POLICY = 'block';
+    try {
+        const res = await call({ email: 'info@example.ca' });
+
+        assert.equal(res.statusCode, 400);
+        assert.ok(res.body.errors.email);
+        assert.equal(emails.length, 0);
+    } finally {
+        delete process.env.ROLE_EMAIL_POLICY;
+    }
+
+    const res = await call({ email: 'info@example.ca' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(emails.length, 1);
+});
@@ -0,0 +1,163 @@
+/**
+ * FormValidator rules (js/validation.js, shared by the page and /api/subscribe)
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let FormValidator;
+let SchoolBoardDirectory;
+let validator;
+
+before(async () => {
+    ({ default: FormValidator } = await import('../js/validation.js'));
+    ({ default: SchoolBoardDirectory } = await import('../js/school-boards.js'));
+    validator = new FormValidator();
+});
+
+const signup = {
+    firstName: 'Jo',
+    lastName: 'Smith',
+    role: 'teacher',
+    schoolBoard: 'TDSB',
+    email: 'jo.smith@tdsb.on.ca',
+    consent: true
+};
+
+test('accepts names with accents, hyphens, spaces and apostrophes', () => {
+    ['Zoë', 'Jean-Luc', 'Mary Ann', 'St. John', 'O\'Brien', 'O’Brien', 'N’Diaye'].forEach(name => {
+        assert.equal(validator.validateField('lastName', name).isValid, true, name);
+    });
+});
+
+test('keeps the curly apostrophe iOS keyboards type', () => {
+    const result = validator.validateData({
+        firstName: 'D’Arcy',
+        lastName: 'O’Brien',
+        role: 'teacher',
+        schoolBoard: 'Ottawa-Carleton District School Board',
+        email: 'darcy.obrien@gmail.com',
+        consent: true
+    });
+
+    assert.equal(result.isValid, true, JSON.stringify(result.errors));
+    assert.equal(result.data.firstName, 'D’Arcy');
+    assert.equal(result.data.lastName, 'O’Brien');
+});
+
+test('rejects names with digits or symbols, or not starting with a letter', () => {
+    ['Jo3', 'Jo@home', '<b>Jo</b>', '’Brien', '-Jo'].forEach(name => {
+        assert.equal(validator.validateField('firstName', name).isValid, false, name);
+    });
+});
+
+test('keeps the email address as typed, only trimmed and lowercased', () => {
+    ['o\'brien@gmail.com', 'a&b@example.ca'].forEach(email => {
+        assert.equal(validator.validateField('email', email).value, email, email);
+    });
+    assert.equal(validator.validateField('email', '  Jo.Smith@TDSB.on.ca ').value, 'jo.smith@tdsb.on.ca');
+});
+
+test('refuses malformed and overlong email addresses', () => {
+    const long = `${'a'.repeat(64)}@${'b'.repeat(190)}.ca`;
+
+    ['jo smith@example.ca', 'jo@example', long].forEach(email => {
+        assert.equal(validator.validateField('email', email).isValid, false, email);
+    });
+});
+
+test('finds the board for an address, a bare domain or a subdomain', () => {
+    const directory = new SchoolBoardDirectory();
+
+    assert.equal(directory.lookup('jo.smith@tdsb.on.ca').id, 'tdsb');
+    assert.equal(directory.lookup('  Jo.Smith@TCDSB.ca ').id, 'tcdsb');
+    assert.equal(directory.lookup('ocdsb.ca').id, 'ocdsb');
+    assert.equal(directory.lookup('jo@staff.hwdsb.on.ca').id, 'hwdsb');
+    assert.equal(directory.lookup('jo@cepeo.on.ca').name, 'Conseil des écoles publiques de l\'Est de l\'Ontario');
+});
+
+test('finds no board for other domains', () => {
+    const directory = new SchoolBoardDirectory();
+
+    ['jo@gmail.com', 'jo@on.ca', 'jo@tdsb.on.ca.example.com', 'jo@nottdsb.on.ca', '', null].forEach(email => {
+        assert.equal(directory.lookup(email), null, String(email));
+    });
+});
+
+test('lists every board domain for the email suggester', () => {
+    const domains = new SchoolBoardDirectory().getDomains();
+
+    assert.ok(domains.includes('tcdsb.org'));
+    assert.ok(domains.includes('tcdsb.ca'));
+});
+
+test('writes the board from the email domain as the lead\'s Company', () => {
+    const { data } = validator.validateData({ ...signup, schoolBoard: 'toronto district' });
+
+    assert.equal(validator.buildLeadFields(data).Company, 'Toronto District School Board');
+});
+
+test('keeps the typed school board when the email domain isn\'t a board\'s', () => {
+    const { data } = validator.validateData({ ...signup, email: 'jo.smith@gmail.com', schoolBoard: 'Bluewater DSB' });
+    const lead = validator.buildLeadFields(data);
+
+    assert.equal(lead.Company, 'Bluewater DSB');
+    assert.equal(lead.Email, 'jo.smith@gmail.com');
+    assert.equal(lead.Designation, 'Teacher');
+});
+
+test('uses the directory it is given', () => {
+    const directory = new SchoolBoardDirectory([
+        { id: 'test', name: 'Test Board', region: 'Test', province: 'ON', domains: ['test-board.ca'] }
+    ]);
+    const boards = new FormValidator(undefined, { directory });
+    const { data } = boards.validateData({ ...signup, email: 'jo@test-board.ca' });
+
+    assert.equal(boards.buildLeadFields(data).Company, 'Test Board');
+    assert.equal(boards.buildLeadFields({ ...data, email: 'jo@tdsb.on.ca' }).Company, 'TDSB');
+});
+
+test('blocks temporary inboxes and warns about shared ones by default', () => {
+    const disposable = validator.validateEmail('jo@mailinator.com');
+    assert.equal(disposable.isValid, false);
+    assert.equal(disposable.message, validator.messages.disposableBlocked);
+
+    const role = validator.validateEmail('info@example.ca');
+    assert.equal(role.isValid, true);
+    assert.equal(role.warning, validator.messages.roleWarning);
+    assert.deepEqual(role.flags, { disposable: false, role: true });
+});
+
+test('applies the configured block, warn and allow policies', () => {
+    const strict = new FormValidator(undefined, { emailPolicies: { disposable: 'warn', role: 'block' } });
+    assert.equal(strict.validateEmail('jo@mailinator.com').warning, strict.messages.disposableWarning);
+    assert.equal(strict.validateEmail('info@example.ca').message, strict.messages.roleBlocked);
+
+    const open = new FormValidator(undefined, { emailPolicies: { disposable: 'allow', role: 'allow' } });
+    const result = open.validateEmail('info@mailinator.com');
+    assert.equal(result.isValid, true);
+    assert.equal(result.warning, '');
+    assert.deepEqual(result.flags, { disposable: true, role: true });
+});
+
+test('keeps the default policy for unset or unknown values', () => {
+    const original = console.warn;
+    console.warn = () => {};
+    try {
+        const configured = new FormValidator(undefined, { emailPolicies: { disposable: null, role: 'reject' } });
+        assert.deepEqual(configured.emailPolicies, FormValidator.DEFAULT_EMAIL_POLICIES);
+    } finally {
+        console.warn = original;
+    }
+});
+
+test('flags allowed temporary and shared addresses on the lead', () => {
+    const open = new FormValidator(undefined, { emailPolicies: { disposable: 'allow' } });
+    const result = open.validateData({ ...signup, email: 'office@mailinator.com' });
+
+    assert.equal(result.isValid, true, JSON.stringify(result.errors));
+    const lead = open.buildLeadFields(result.data);
+    assert.equal(lead.Email_Disposable, true);
+    assert.equal(lead.Email_Role_Account, true);
+    assert.equal(validator.buildLeadFields(validator.validateData(signup).data).Email_Disposable, false);
+});
@@ -0,0 +1,88 @@
+/**
+ * ZohoClient lead upserts, with Zoho's responses stubbed
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ZohoClient = require('../api/_lib/zoho-client.js');
+
+const event = {
+    name: 'Career Launch',
+    phases: {
+        'pre-agenda': { leadSource: 'Career Launch - Agenda', description: 'Signed up for the {{ event.name }} agenda' },
+        live: { leadSource: 'Career Launch - Live', description: 'Signed up during {{ event.name }}' }
+    }
+};
+
+/**
+ * @param {Array<Object>} responses - Zoho answers, in order
+ * @returns {Object} - { client, calls }
+ */
+function createClient(responses) {
+    const calls = [];
+    const client = new ZohoClient({ endpoint: 'https://zoho.test/crm/v2/Leads', tokenManager: { isConfigured: () => true } });
+    client.request = async (url, options) => {
+        calls.push({ url, method: options.method, body: options.body });
+        return responses.shift();
+    };
+    return { client, calls };
+}
+
+test('creates a new lead with the phase\'s source, status and description', async () => {
+    const { client, calls } = createClient([
+        {},
+        { data: [{ status: 'success', action: 'insert', details: { id: '7' } }] }
+    ]);
+
+    const result = await client.upsertLead({ Email: 'jo@example.ca', Last_Name: 'Smith' }, event, 'live');
+
+    assert.deepEqual(result, { success: true, id: '7', duplicate: false });
+    assert.equal(calls[0].url, 'https://zoho.test/crm/v2/Leads/search?email=jo%40example.ca');
+    assert.equal(calls[1].url, 'https://zoho.test/crm/v2/Leads/upsert');
+    assert.deepEqual(calls[1].body, {
+        data: [{
+            Email: 'jo@example.ca',
+            Last_Name: 'Smith',
+            Lead_Source: 'Career Launch - Live',
+            Lead_Status: 'Not Contacted',
+            Description: 'Signed up during Career Launch'
+        }],
+        duplicate_check_fields: ['Email']
+    });
+});
+
+test('leaves the fields sales own alone on an existing lead', async () => {
+    const { client, calls } = createClient([
+        { data: [{ status: 'success', details: { id: '7' } }] }
+    ]);
+    const existing = { id: '7', Email: 'jo@example.ca', Lead_Status: 'Contacted' };
+
+    const result = await client.upsertLead({ Email: 'jo@example.ca', Last_Name: 'Smith' }, event, 'live', existing);
+
+    assert.deepEqual(result, { success: true, id: '7', duplicate: true });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].method, 'PUT');
+    assert.equal(calls[0].url, 'https://zoho.test/crm/v2/Leads/7');
+    assert.deepEqual(calls[0].body, { data: [{ Email: 'jo@example.ca', Last_Name: 'Smith' }] });
+});
+
+test('looks the lead up by email when the caller hasn\'t', async () => {
+    const { client, calls } = createClient([
+        { data: [{ id: '7', Email: 'jo@example.ca' }] },
+        { data: [{ status: 'success', details: { id: '7' } }] }
+    ]);
+
+    const result = await client.upsertLead({ Email: 'jo@example.ca' }, event, 'pre-agenda');
+
+    assert.equal(result.duplicate, true);
+    assert.deepEqual(calls.map(call => call.method), ['GET', 'PUT']);
+});
+
+test('throws Zoho\'s message when a create fails', async () => {
+    const { client } = createClient([
+        {},
+        { data: [{ status: 'error', message: 'invalid data' }] }
+    ]);
+
+    await assert.rejects(client.upsertLead({ Email: 'jo@example.ca' }, event, 'live'), /invalid data/);
+});
@@ -0,0 +1,153 @@
+/**
+ * ZohoTokenManager and ZohoClient against a local fake of the Zoho accounts
+ * token endpoint (ZOHO_ACCOUNTS_URL) and the Leads API
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const ZohoTokenManager = require('../api/_lib/zoho-token.js');
+const ZohoClient = require('../api/_lib/zoho-client.js');
+
+const credentials = { clientId: 'client', clientSecret: 'secret', refreshToken: 'refresh' };
+
+// Requests the fake received, and what it answers next
+let requests = [];
+let tokenResponses = [];
+let leadResponses = [];
+let server;
+let baseUrl;
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => resolve(data));
+    });
+}
+
+before(async () => {
+    server = http.createServer(async (req, res) => {
+        const body = await readBody(req);
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+        const next = req.url === '/oauth/v2/token' ? tokenResponses.shift() : leadResponses.shift();
+        const { status = 200, json = {} } = next || { status: 500 };
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+    tokenResponses = [];
+    leadResponses = [];
+});
+
+function createManager(config = {}) {
+    return new ZohoTokenManager({ ...credentials, accountsUrl: baseUrl, ...config });
+}
+
+test('exchanges the refresh token for an access token', async () => {
+    tokenResponses.push({ json: { access_token: 'access-1', expires_in: 3600 } });
+
+    const manager = createManager();
+    assert.equal(await manager.getAccessToken(), 'access-1');
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].method, 'POST');
+    const form = new URLSearchParams(requests[0].body);
+    assert.equal(form.get('grant_type'), 'refresh_token');
+    assert.equal(form.get('client_id'), 'client');
+    assert.equal(form.get('client_secret'), 'secret');
+    assert.equal(form.get('refresh_token'), 'refresh');
+});
+
+test('caches the access token until shortly before it expires', async () => {
+    tokenResponses.push(
+        { json: { access_token: 'access-1', expires_in: 3600 } },
+        { json: { access_token: 'access-2', expires_in: 3600 } }
+    );
+
+    let now = 0;
+    const manager = createManager({ now: () => now, expiryMarginMs: 60000 });
+
+    assert.equal(await manager.getAccessToken(), 'access-1');
+    now = 3600 * 1000 - 60001;
+    assert.equal(await manager.getAccessToken(), 'access-1');
+    assert.equal(requests.length, 1);
+
+    now = 3600 * 1000 - 60000;
+    assert.equal(await manager.getAccessToken(), 'access-2');
+    assert.equal(requests.length, 2);
+});
+
+test('shares one refresh between concurrent callers', async () => {
+    tokenResponses.push({ json: { access_token: 'access-1', expires_in: 3600 } });
+
+    const manager = createManager();
+    const tokens = await Promise.all([manager.getAccessToken(), manager.getAccessToken(), manager.getAccessToken()]);
+
+    assert.deepEqual(tokens, ['access-1', 'access-1', 'access-1']);
+    assert.equal(requests.length, 1);
+});
+
+test('fails on the error Zoho returns with a 200', async () => {
+    tokenResponses.push({ json: { error: 'invalid_code' } });
+
+    const manager = createManager();
+    await assert.rejects(manager.getAccessToken(), /invalid_code/);
+    assert.equal(manager.accessToken, null);
+});
+
+test('falls back to the static token without refresh credentials', async () => {
+    const manager = new ZohoTokenManager({ staticToken: 'static', accountsUrl: baseUrl, clientId: '', clientSecret: '', refreshToken: '' });
+
+    assert.equal(manager.canRefresh(), false);
+    assert.equal(await manager.getAccessToken(), 'static');
+    assert.equal(requests.length, 0);
+});
+
+test('ZohoClient refreshes and retries once when Zoho rejects the access token', async () => {
+    tokenResponses.push(
+        { json: { access_token: 'stale', expires_in: 3600 } },
+        { json: { access_token: 'fresh', expires_in: 3600 } }
+    );
+    leadResponses.push(
+        { status: 401, json: { code: 'INVALID_TOKEN', message: 'invalid oauth token' } },
+        { json: { data: [{ Email: 'jo@example.ca' }] } }
+    );
+
+    const client = new ZohoClient({ endpoint: `${baseUrl}/crm/v2/Leads`, tokenManager: createManager() });
+    const lead = await client.findLeadByEmail('jo@example.ca');
+
+    assert.deepEqual(lead, { Email: 'jo@example.ca' });
+    const leadRequests = requests.filter(request => request.url.startsWith('/crm/'));
+    assert.deepEqual(leadRequests.map(request => request.headers.authorization), [
+        'Zoho-oauthtoken stale',
+        'Zoho-oauthtoken fresh'
+    ]);
+});
+
+test('ZohoClient gives up after one retry', async () => {
+    tokenResponses.push(
+        { json: { access_token: 'stale', expires_in: 3600 } },
+        { json: { access_token: 'also-stale', expires_in: 3600 } }
+    );
+    leadResponses.push(
+        { status: 401, json: { code: 'INVALID_TOKEN', message: 'invalid oauth token' } },
+        { status: 401, json: { code: 'INVALID_TOKEN', message: 'invalid oauth token' } }
+    );
+
+    const client = new ZohoClient({ endpoint: `${baseUrl}/crm/v2/Leads`, tokenManager: createManager() });
+
+    await assert.rejects(client.findLeadByEmail('jo@example.ca'), /invalid oauth token/);
+    assert.equal(requests.filter(request => request.url.startsWith('/crm/')).length, 2);
+});